@@ -0,0 +1,133 @@
+// Runtime configuration, read once from the environment (.env is loaded here)
+const path = require('path');
+require('dotenv').config();
+
+function numberFromEnv(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) ? value : fallback;
+}
+
+const provider = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+// Model used when LLM_MODEL is not set; the mock provider has its own name
+// so its calls are never recorded as Gemini ones
+const model = process.env.LLM_MODEL || (provider === 'mock' ? 'mock' : 'gemini-2.5-flash');
+
+module.exports = {
+    port: numberFromEnv('PORT', 8000),
+
+    auth: {
+        // When disabled every request acts as a local administrator
+        enabled: process.env.AUTH_ENABLED !== 'false',
+        // Lifetime of the API key handed out by POST /auth/login
+        sessionTtlHours: numberFromEnv('AUTH_SESSION_TTL_HOURS', 168),
+        // Administrator account created on first start
+        adminUsername: process.env.AUTH_ADMIN_USERNAME,
+        adminPassword: process.env.AUTH_ADMIN_PASSWORD
+    },
+
+    cors: {
+        // Comma-separated allowed origins, or * for any
+        origins: (process.env.CORS_ORIGINS || 'http://localhost:5173,http://localhost:3000')
+            .split(',')
+            .map(origin => origin.trim())
+            .filter(Boolean)
+    },
+
+    storage: {
+        driver: process.env.STORAGE_DRIVER || 'file',
+        dataDir: process.env.DATA_DIR || path.join(__dirname, 'data')
+    },
+
+    ocr: {
+        // OCR runs only for PDF pages without an extractable text layer
+        enabled: process.env.OCR_ENABLED !== 'false',
+        languages: (process.env.OCR_LANGUAGES || 'eng+hin+tam+ben+tel').split('+'),
+        // Directory of <lang>.traineddata.gz files; defaults to the bundled packages
+        langPath: process.env.OCR_LANG_PATH,
+        renderScale: numberFromEnv('OCR_RENDER_SCALE', 2)
+    },
+
+    retrieval: {
+        topK: numberFromEnv('RETRIEVAL_TOP_K', 8),
+        maxTopK: 50
+    },
+
+    documents: {
+        // Page size for GET /documents
+        defaultLimit: 50,
+        maxLimit: 200
+    },
+
+    search: {
+        defaultLimit: 20,
+        maxLimit: 100,
+        // Local embedding model for semantic search (needs the optional
+        // @xenova/transformers package; the model is downloaded on first use)
+        embeddings: {
+            enabled: process.env.SEARCH_EMBEDDINGS === 'true',
+            model: process.env.SEARCH_EMBEDDING_MODEL || 'Xenova/multilingual-e5-small',
+            // Instruction prefixes expected by E5-style models
+            queryPrefix: process.env.SEARCH_EMBEDDING_QUERY_PREFIX ?? 'query: ',
+            passagePrefix: process.env.SEARCH_EMBEDDING_PASSAGE_PREFIX ?? 'passage: '
+        }
+    },
+
+    jobs: {
+        // Ingestion is CPU-bound, so jobs run one at a time by default
+        concurrency: numberFromEnv('JOB_CONCURRENCY', 1),
+        // Finished job records kept for polling
+        maxFinished: numberFromEnv('JOB_HISTORY_SIZE', 500)
+    },
+
+    translation: {
+        // Characters per model call; text is split at sentence boundaries
+        chunkSize: numberFromEnv('TRANSLATION_CHUNK_SIZE', 2000),
+        maxTextLength: 100000
+    },
+
+    cache: {
+        // Answers and text translations, reused for the same question on the
+        // same document versions with the same model
+        enabled: process.env.RESPONSE_CACHE !== 'false',
+        maxEntries: numberFromEnv('RESPONSE_CACHE_SIZE', 500),
+        ttlHours: numberFromEnv('RESPONSE_CACHE_TTL_HOURS', 24)
+    },
+
+    usage: {
+        // Model calls and tokens each user may use per UTC day (0 = unlimited)
+        dailyCallQuota: numberFromEnv('USAGE_DAILY_CALL_QUOTA', 0),
+        dailyTokenQuota: numberFromEnv('USAGE_DAILY_TOKEN_QUOTA', 0)
+    },
+
+    conversations: {
+        // Question/answer pairs from earlier in a conversation sent with each prompt
+        historyTurns: numberFromEnv('CONVERSATION_HISTORY_TURNS', 4),
+        // Rewrite follow-up questions into standalone queries before retrieval
+        rewriteQueries: process.env.CONVERSATION_REWRITE_QUERIES !== 'false'
+    },
+
+    llm: {
+        // One of: gemini, openai, mock
+        provider,
+        model,
+        models: {
+            ask: process.env.LLM_ASK_MODEL || model,
+            translate: process.env.LLM_TRANSLATE_MODEL || model,
+            summary: process.env.LLM_SUMMARY_MODEL || model
+        },
+        temperature: numberFromEnv('LLM_TEMPERATURE', 0.2),
+        maxTokens: numberFromEnv('LLM_MAX_TOKENS', 2048),
+        // Largest /ask prompt sent to the model (estimated tokens), and what
+        // to do with a larger one: 'truncate' drops the lowest-ranked
+        // passages and then the oldest conversation turns; 'reject' answers 413
+        maxPromptTokens: numberFromEnv('LLM_MAX_PROMPT_TOKENS', 30000),
+        promptOverflow: process.env.LLM_PROMPT_OVERFLOW === 'reject' ? 'reject' : 'truncate',
+        gemini: {
+            apiKey: process.env.GEMINI_API_KEY
+        },
+        openai: {
+            baseUrl: process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1',
+            apiKey: process.env.OPENAI_API_KEY
+        }
+    }
+};
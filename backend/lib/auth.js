@@ -0,0 +1,293 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { HttpError } = require('./errors');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Workspace roles, weakest first. Viewers can read, search and ask; owners
+// can also upload, change and delete documents and manage members.
+const ROLES = ['viewer', 'owner'];
+
+// Workspace for documents uploaded before accounts existed (and for every
+// upload while authentication is disabled)
+const SHARED_WORKSPACE_ID = 'ws_shared';
+
+const API_KEY_PREFIX = 'dqa_';
+const MIN_PASSWORD_LENGTH = 8;
+
+// Stand-in user for every request when authentication is disabled
+const LOCAL_USER = { id: 'local', username: 'local', is_admin: true };
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt:${salt}:${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [, salt, hash] = (stored || '').split(':');
+    if (!salt || !hash) {
+        return false;
+    }
+    const candidate = await scrypt(password, salt, 64);
+    return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+}
+
+// API keys are only ever stored hashed
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function hasRole(role, required) {
+    return Boolean(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+// Accounts, API keys and workspace membership, kept in the storage backend.
+// Login hands out an expiring API key, so browsers and scripts authenticate
+// the same way: `Authorization: Bearer <key>` (or an `X-API-Key` header).
+class AuthService {
+    constructor({ storage, generateId, sessionTtlHours }) {
+        this.storage = storage;
+        this.generateId = generateId;
+        this.sessionTtlHours = sessionTtlHours;
+        this.keys = new Map();
+    }
+
+    async init({ enabled = true, adminUsername, adminPassword } = {}) {
+        if (!(await this.storage.getWorkspace(SHARED_WORKSPACE_ID))) {
+            await this.storage.saveWorkspace({
+                id: SHARED_WORKSPACE_ID,
+                name: 'Shared',
+                personal: false,
+                members: [],
+                created_at: new Date().toISOString()
+            });
+        }
+
+        // Documents from before workspaces existed belong to the shared one
+        for (const doc of await this.storage.listDocuments()) {
+            if (!doc.workspace_id) {
+                await this.storage.updateDocument(doc.id, { workspace_id: SHARED_WORKSPACE_ID });
+            }
+        }
+
+        const users = await this.storage.listUsers();
+        users.forEach(user => {
+            user.api_keys.forEach(key => this.keys.set(key.hash, { userId: user.id, keyId: key.id }));
+        });
+
+        // First start: create the administrator account from the environment.
+        // There is no default password, so with authentication on and none
+        // set the server refuses to start rather than run without an admin.
+        if (users.length === 0) {
+            if (adminUsername && adminPassword) {
+                await this.createUser({ username: adminUsername, password: adminPassword, is_admin: true });
+            } else if (enabled) {
+                throw new Error('AUTH_ADMIN_USERNAME and AUTH_ADMIN_PASSWORD must be set '
+                    + 'to create the first administrator account');
+            }
+        }
+    }
+
+    publicUser(user) {
+        return {
+            id: user.id,
+            username: user.username,
+            is_admin: Boolean(user.is_admin),
+            personal_workspace_id: user.personal_workspace_id || null,
+            created_at: user.created_at
+        };
+    }
+
+    async findUserByUsername(username) {
+        const wanted = (username || '').toLowerCase();
+        return (await this.storage.listUsers()).find(user => user.username.toLowerCase() === wanted) || null;
+    }
+
+    // Create an account along with its personal workspace
+    async createUser({ username, password, is_admin = false }) {
+        if (!username || !/^[\w.@-]{3,64}$/.test(username)) {
+            throw new HttpError(400, 'username must be 3-64 letters, digits or . _ @ -');
+        }
+        if (!password || password.length < MIN_PASSWORD_LENGTH) {
+            throw new HttpError(400, `password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+        if (await this.findUserByUsername(username)) {
+            throw new HttpError(409, `User ${username} already exists`);
+        }
+
+        const now = new Date().toISOString();
+        const user = {
+            id: this.generateId('user'),
+            username,
+            password_hash: await hashPassword(password),
+            is_admin: Boolean(is_admin),
+            personal_workspace_id: null,
+            api_keys: [],
+            created_at: now
+        };
+
+        const workspace = await this.storage.saveWorkspace({
+            id: this.generateId('ws'),
+            name: `${username}'s workspace`,
+            personal: true,
+            members: [{ user_id: user.id, role: 'owner' }],
+            created_at: now
+        });
+        user.personal_workspace_id = workspace.id;
+
+        await this.storage.saveUser(user);
+        return user;
+    }
+
+    async login(username, password) {
+        const user = await this.findUserByUsername(username);
+        if (!user || !(await verifyPassword(password || '', user.password_hash))) {
+            throw new HttpError(401, 'Invalid username or password');
+        }
+
+        const expiresAt = new Date(Date.now() + this.sessionTtlHours * 3600 * 1000).toISOString();
+        const { key } = await this.createApiKey(user, { name: 'session', expiresAt });
+        return { token: key, expires_at: expiresAt, user: this.publicUser(user) };
+    }
+
+    // Issue a new API key. The key itself is returned only here.
+    async createApiKey(user, { name, expiresAt = null }) {
+        const key = API_KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+        const record = {
+            id: this.generateId('key'),
+            name: name || 'api key',
+            hash: hashApiKey(key),
+            prefix: key.slice(0, API_KEY_PREFIX.length + 4),
+            created_at: new Date().toISOString(),
+            expires_at: expiresAt
+        };
+
+        // Drop expired keys while the record is being rewritten anyway
+        const now = new Date().toISOString();
+        user.api_keys = user.api_keys.filter(existing => {
+            const expired = existing.expires_at && existing.expires_at < now;
+            if (expired) {
+                this.keys.delete(existing.hash);
+            }
+            return !expired;
+        });
+        user.api_keys.push(record);
+
+        await this.storage.saveUser(user);
+        this.keys.set(record.hash, { userId: user.id, keyId: record.id });
+        return { key, record: this.publicKey(record) };
+    }
+
+    publicKey(record) {
+        return {
+            id: record.id,
+            name: record.name,
+            prefix: record.prefix,
+            created_at: record.created_at,
+            expires_at: record.expires_at
+        };
+    }
+
+    async revokeApiKey(user, keyId) {
+        const record = user.api_keys.find(key => key.id === keyId);
+        if (!record) {
+            return false;
+        }
+        user.api_keys = user.api_keys.filter(key => key.id !== keyId);
+        this.keys.delete(record.hash);
+        await this.storage.saveUser(user);
+        return true;
+    }
+
+    // Resolve an API key to { user, keyId }, or null if unknown or expired
+    async authenticate(key) {
+        const entry = key && this.keys.get(hashApiKey(key));
+        if (!entry) {
+            return null;
+        }
+
+        const user = await this.storage.getUser(entry.userId);
+        const record = user && user.api_keys.find(existing => existing.id === entry.keyId);
+        if (!record || (record.expires_at && record.expires_at < new Date().toISOString())) {
+            return null;
+        }
+        return { user, keyId: record.id };
+    }
+
+    // A user's role in a workspace; administrators own every workspace
+    roleIn(user, workspace) {
+        if (!workspace) {
+            return null;
+        }
+        if (user.is_admin) {
+            return 'owner';
+        }
+        const member = workspace.members.find(entry => entry.user_id === user.id);
+        return member ? member.role : null;
+    }
+
+    // Workspaces the user can see, each with the user's role
+    async workspacesFor(user) {
+        return (await this.storage.listWorkspaces())
+            .map(workspace => ({ ...workspace, role: this.roleIn(user, workspace) }))
+            .filter(workspace => workspace.role);
+    }
+
+    async createWorkspace(user, name) {
+        if (!name || typeof name !== 'string') {
+            throw new HttpError(400, 'Workspace name is required');
+        }
+        return this.storage.saveWorkspace({
+            id: this.generateId('ws'),
+            name,
+            personal: false,
+            members: [{ user_id: user.id, role: 'owner' }],
+            created_at: new Date().toISOString()
+        });
+    }
+
+    async setMember(workspace, userId, role) {
+        if (!ROLES.includes(role)) {
+            throw new HttpError(400, `role must be one of: ${ROLES.join(', ')}`);
+        }
+        if (workspace.personal) {
+            throw new HttpError(400, 'Personal workspaces cannot be shared');
+        }
+        if (!(await this.storage.getUser(userId))) {
+            throw new HttpError(404, 'User not found');
+        }
+
+        workspace.members = workspace.members.filter(entry => entry.user_id !== userId);
+        workspace.members.push({ user_id: userId, role });
+        return this.storage.saveWorkspace(workspace);
+    }
+
+    async removeMember(workspace, userId) {
+        const remaining = workspace.members.filter(entry => entry.user_id !== userId);
+        if (remaining.length === workspace.members.length) {
+            return null;
+        }
+        if (workspace.id !== SHARED_WORKSPACE_ID && !remaining.some(entry => entry.role === 'owner')) {
+            throw new HttpError(400, 'A workspace must keep at least one owner');
+        }
+        workspace.members = remaining;
+        return this.storage.saveWorkspace(workspace);
+    }
+}
+
+// Read the API key from `Authorization: Bearer <key>` or `X-API-Key`
+function apiKeyFromRequest(req) {
+    const header = req.get('authorization') || '';
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : req.get('x-api-key') || null;
+}
+
+module.exports = {
+    AuthService,
+    LOCAL_USER,
+    ROLES,
+    SHARED_WORKSPACE_ID,
+    apiKeyFromRequest,
+    hasRole
+};
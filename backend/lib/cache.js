@@ -0,0 +1,77 @@
+// In-memory cache of model responses (answers, comparisons, translations),
+// evicting the least recently used entry when full. Entries list the
+// documents they were built from so that changing a document drops them.
+
+const crypto = require('crypto');
+
+// Questions differing only in case, spacing or closing punctuation get the
+// same answer
+function normalizeQuestion(question) {
+    return question
+        .normalize('NFC')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .replace(/[\s?.!।]+$/u, '')
+        .trim();
+}
+
+// Key for the parts that determine a response (any JSON value)
+function cacheKey(parts) {
+    return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+class ResponseCache {
+    constructor({ enabled = true, maxEntries = 500, ttlHours = 24 } = {}) {
+        this.enabled = enabled;
+        this.maxEntries = maxEntries;
+        this.ttlMs = ttlHours * 60 * 60 * 1000;
+        this.entries = new Map();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return null;
+        }
+        this.entries.delete(key);
+        if (entry.expires <= Date.now()) {
+            return null;
+        }
+        // Re-insert to mark it most recently used
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    set(key, value, documentIds = []) {
+        if (!this.enabled) {
+            return;
+        }
+        this.entries.delete(key);
+        this.entries.set(key, { value, documentIds, expires: Date.now() + this.ttlMs });
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    // Drop every entry built from a document. Returns how many were dropped.
+    invalidateDocument(documentId) {
+        let dropped = 0;
+        for (const [key, entry] of this.entries) {
+            if (entry.documentIds.includes(documentId)) {
+                this.entries.delete(key);
+                dropped++;
+            }
+        }
+        return dropped;
+    }
+}
+
+module.exports = {
+    ResponseCache,
+    cacheKey,
+    normalizeQuestion
+};
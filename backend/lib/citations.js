@@ -0,0 +1,243 @@
+const { normalizeText } = require('./retrieval');
+const { normalizeDigits } = require('./languages');
+
+// Citation markers the model is asked to write:
+//   [Document: <tag>, Page: <n>, Quote: "<verbatim excerpt>"]
+//   [Document: <tag>, Page: <n>, Table: <t>, Cell: R<row>C<column>, Quote: "..."]
+// where <tag> is the short label (D1, D2, ...) the context gave the
+// document and the second form cites one cell of a table on the page. The
+// quote is optional, numbers may use native digits, and curly quotes are
+// accepted since models like to "fix" them. The label is matched lazily up
+// to ", Page:" so filenames containing commas still parse. Models sometimes
+// put several citations in one bracket, separated by ";" or ",".
+const ENTRY_SOURCE = 'Document:\\s*((?:(?!Document:)[^\\]])+?),\\s*Page:\\s*(\\p{Nd}+)' +
+    '(?:,\\s*Table:\\s*(\\p{Nd}+),\\s*Cell:\\s*R(\\p{Nd}+)\\s*C(\\p{Nd}+))?' +
+    '(?:,\\s*Quote:\\s*["“]([^"”]*)["”])?';
+const BRACKET_SOURCE = `\\[\\s*${ENTRY_SOURCE}(?:\\s*[;,]\\s*${ENTRY_SOURCE})*\\s*\\]`;
+// Consecutive brackets, with the separators between them
+const CITATION_RUN_SOURCE = `${BRACKET_SOURCE}(?:\\s*[;,]?\\s*${BRACKET_SOURCE})*`;
+
+// Quotes matching at least this well are verified; partial matches are
+// kept but flagged
+const VERIFIED_SCORE = 0.8;
+const PARTIAL_SCORE = 0.5;
+// Citations without a quote can only be checked for page existence
+const UNQUOTED_SCORE = 0.5;
+// Tokens at least this similar count as the same word (OCR noise, matras)
+const TOKEN_SIMILARITY = 0.75;
+
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}]+/gu;
+
+// Give each document a short, unique tag (D1, D2, ...) to use in the
+// context and citations instead of its filename, which may collide with
+// other uploads or contain punctuation. Returns Map<tag, documentId>.
+function assignDocumentTags(documentIds) {
+    const tags = new Map();
+    documentIds.forEach(documentId => {
+        tags.set(`D${tags.size + 1}`, documentId);
+    });
+    return tags;
+}
+
+// Map a citation label back to a document ID. Tags are matched first; a
+// filename is accepted only when exactly one document has it.
+// Returns { documentId } or { reason } when the label cannot be resolved.
+function resolveCitationLabel(label, tags, documents) {
+    const tag = label.replace(/^\[|\]$/g, '').trim().toUpperCase();
+    if (tags.has(tag)) {
+        return { documentId: tags.get(tag) };
+    }
+
+    const matches = [];
+    documents.forEach((doc, documentId) => {
+        if (doc.filename === label) {
+            matches.push(documentId);
+        }
+    });
+
+    if (matches.length === 1) {
+        return { documentId: matches[0] };
+    }
+    return { reason: matches.length > 1 ? 'ambiguous_document' : 'unknown_document' };
+}
+
+// Find citation markers in model output, in order of appearance. `index`
+// is where the citation's "Document:" starts in the text.
+function extractCitations(text) {
+    const citations = [];
+    const brackets = new RegExp(BRACKET_SOURCE, 'giu');
+    let bracket;
+
+    while ((bracket = brackets.exec(text)) !== null) {
+        const entries = new RegExp(ENTRY_SOURCE, 'giu');
+        let match;
+        while ((match = entries.exec(bracket[0])) !== null) {
+            citations.push({
+                label: match[1].trim(),
+                page_number: parseInt(normalizeDigits(match[2])),
+                cell: match[3] ? {
+                    table: parseInt(normalizeDigits(match[3])),
+                    row: parseInt(normalizeDigits(match[4])),
+                    column: parseInt(normalizeDigits(match[5]))
+                } : null,
+                quote: match[6] ? match[6].trim() : null,
+                index: bracket.index + match.index
+            });
+        }
+    }
+
+    return citations;
+}
+
+function stripCitations(text) {
+    return text
+        .replace(new RegExp(CITATION_RUN_SOURCE, 'giu'), '')
+        .replace(/[ \t]+([.,;:!?।])/g, '$1')
+        .replace(/[ \t]{2,}/g, ' ')
+        .trim();
+}
+
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+function tokenSimilarity(a, b) {
+    if (a === b) {
+        return 1;
+    }
+    if (Math.min(a.length, b.length) < 4) {
+        return 0;
+    }
+    const similarity = 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+    return similarity >= TOKEN_SIMILARITY ? similarity : 0;
+}
+
+// Words of a text with their character offsets, compared in normalized form
+function wordsWithOffsets(text) {
+    return Array.from(text.matchAll(WORD_PATTERN), match => ({
+        word: normalizeText(match[0]),
+        start: match.index,
+        end: match.index + match[0].length
+    }));
+}
+
+// Locate the span of `pageText` that best supports `quote`. Slides a window
+// a little wider than the quote over the page and scores how many quote
+// words it contains (allowing near-miss spellings). Returns
+// { score, start, end, excerpt } with offsets into pageText, or null.
+function findSupport(quote, pageText) {
+    const quoteWords = wordsWithOffsets(quote).map(token => token.word);
+    const pageWords = wordsWithOffsets(pageText);
+    if (quoteWords.length === 0 || pageWords.length === 0) {
+        return null;
+    }
+
+    // Slack lets a paraphrased quote skip a few words of the original
+    const size = quoteWords.length + Math.max(2, Math.ceil(quoteWords.length / 2));
+    const similarities = new Map();
+    const similarity = (a, b) => {
+        const key = `${a}\u0000${b}`;
+        if (!similarities.has(key)) {
+            similarities.set(key, tokenSimilarity(a, b));
+        }
+        return similarities.get(key);
+    };
+
+    let best = null;
+    const lastStart = Math.max(0, pageWords.length - size);
+
+    for (let i = 0; i <= lastStart; i++) {
+        const window = pageWords.slice(i, i + size);
+        let total = 0;
+        let first = null;
+        let last = null;
+
+        quoteWords.forEach(word => {
+            let bestMatch = 0;
+            let bestIndex = -1;
+            window.forEach((token, j) => {
+                const value = similarity(word, token.word);
+                if (value > bestMatch) {
+                    bestMatch = value;
+                    bestIndex = j;
+                }
+            });
+            if (bestIndex >= 0) {
+                total += bestMatch;
+                first = first === null ? bestIndex : Math.min(first, bestIndex);
+                last = last === null ? bestIndex : Math.max(last, bestIndex);
+            }
+        });
+
+        const score = total / quoteWords.length;
+        if (first !== null && (!best || score > best.score)) {
+            best = { score, start: window[first].start, end: window[last].end };
+            if (score === 1) {
+                break;
+            }
+        }
+    }
+
+    if (!best) {
+        return null;
+    }
+
+    return {
+        score: Math.round(best.score * 100) / 100,
+        start: best.start,
+        end: best.end,
+        excerpt: pageText.slice(best.start, best.end)
+    };
+}
+
+function verificationStatus(score, quoted) {
+    if (!quoted) {
+        return 'unquoted';
+    }
+    if (score >= VERIFIED_SCORE) {
+        return 'verified';
+    }
+    return score >= PARTIAL_SCORE ? 'partial' : 'unsupported';
+}
+
+// Overall answer confidence: the mean support of every citation, where
+// citations to pages that do not exist count as zero
+function scoreConfidence(sources, rejectedCount) {
+    const scores = [];
+    sources.forEach(source => {
+        source.spans.forEach(span => {
+            scores.push(span.quote ? span.score : UNQUOTED_SCORE);
+        });
+    });
+    for (let i = 0; i < rejectedCount; i++) {
+        scores.push(0);
+    }
+
+    if (scores.length === 0) {
+        return 0;
+    }
+    const mean = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+    return Math.round(mean * 100) / 100;
+}
+
+module.exports = {
+    assignDocumentTags,
+    extractCitations,
+    findSupport,
+    resolveCitationLabel,
+    scoreConfidence,
+    stripCitations,
+    verificationStatus
+};
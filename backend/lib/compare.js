@@ -0,0 +1,78 @@
+// Compare mode: a question is first answered for each document on its own,
+// then the answers are combined into a table with one row per aspect and
+// one column per document. Cells cite pages like regular answers do.
+
+const { languageName } = require('./languages');
+const { parseJsonReply } = require('./extraction');
+
+const MAX_ASPECTS = 10;
+
+// `answers` is [{ tag, filename, answer, sources }] with the sources of each
+// per-document answer; their quotes are the only passages cells may cite
+function buildComparePrompt(question, answers, { aspects, language }) {
+    const sections = answers.map(({ tag, filename, answer, sources }) => {
+        const passages = sources.flatMap(source => source.spans
+            .filter(span => span.quote)
+            .map(span => `- Page ${source.page_number}: "${span.quote}"`));
+        return `=== ${tag}: ${filename} ===
+Answer: ${answer || 'No relevant content found.'}
+Cited passages:
+${passages.length > 0 ? passages.join('\n') : '(none)'}`;
+    }).join('\n\n');
+
+    const rows = aspects && aspects.length > 0
+        ? `Use exactly these aspects as rows, in this order: ${aspects.map(aspect => `"${aspect}"`).join(', ')}`
+        : `Choose up to ${MAX_ASPECTS} aspects (rows) that matter most for the question`;
+    const tags = answers.map(answer => answer.tag);
+
+    return `You are comparing documents to answer a question. Each document was first asked the question separately; the answers and the passages they cite are below.
+
+Comparison question: ${question}
+
+<answers>
+${sections}
+</answers>
+
+Build a comparison table:
+1. ${rows}
+2. For every aspect write one short cell per document (${tags.join(', ')})
+3. Cite each cell with [Document: TAG, Page: X, Quote: "exact words"], using only the cited passages above for that document
+4. If a document says nothing about an aspect, write "Not mentioned" without a citation
+5. Write the aspects, cells and summary in ${languageName(language)}
+Reply with JSON only, in this form:
+{"aspects": [{"aspect": "...", "cells": {${tags.map(tag => `"${tag}": "..."`).join(', ')}}}], "summary": "the main differences in one or two sentences"}
+
+Comparison JSON:`;
+}
+
+// Read the table from the model reply. Returns { aspects: [{ aspect,
+// cells: { <tag>: text } }], summary } or null if the reply is unusable.
+function parseComparison(reply, tags) {
+    const parsed = parseJsonReply(reply);
+    if (!parsed || !Array.isArray(parsed.aspects)) {
+        return null;
+    }
+
+    const aspects = parsed.aspects
+        .filter(row => row && typeof row.aspect === 'string' && row.cells && typeof row.cells === 'object')
+        .slice(0, MAX_ASPECTS)
+        .map(row => {
+            const cells = {};
+            tags.forEach(tag => {
+                const cell = row.cells[tag];
+                cells[tag] = typeof cell === 'string' ? cell : '';
+            });
+            return { aspect: row.aspect.trim(), cells };
+        });
+
+    if (aspects.length === 0) {
+        return null;
+    }
+    return { aspects, summary: typeof parsed.summary === 'string' ? parsed.summary.trim() : null };
+}
+
+module.exports = {
+    MAX_ASPECTS,
+    buildComparePrompt,
+    parseComparison
+};
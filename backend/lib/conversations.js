@@ -0,0 +1,38 @@
+// Helpers for multi-turn conversations. A conversation stores its messages
+// as [{ role: 'user' | 'assistant', content, ... }] in order.
+
+// Last `maxTurns` question/answer pairs of a conversation
+function recentTurns(messages, maxTurns) {
+    if (maxTurns <= 0) {
+        return [];
+    }
+    return messages.slice(-maxTurns * 2);
+}
+
+function formatHistory(messages) {
+    return messages
+        .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`)
+        .join('\n');
+}
+
+// Prompt asking the model to turn a follow-up ("what about the second
+// scheme?") into a question that can be searched on its own
+function buildRewritePrompt(history, question) {
+    return `Rewrite the follow-up question so that it can be understood without the conversation.
+Resolve pronouns and references such as "it", "that scheme" or "the second one" using the conversation.
+Keep the language of the follow-up question. If it is already standalone, return it unchanged.
+Return only the rewritten question.
+
+Conversation:
+${formatHistory(history)}
+
+Follow-up question: ${question}
+
+Standalone question:`;
+}
+
+module.exports = {
+    buildRewritePrompt,
+    formatHistory,
+    recentTurns
+};
@@ -0,0 +1,86 @@
+// Page-level comparison of two versions of a document. Pages are matched
+// by number; changed pages get a line diff (longest common subsequence).
+
+// Above this many line pairs a page is reported as changed without
+// line-level detail, to bound the quadratic diff
+const MAX_LINE_PAIRS = 250000;
+
+function splitLines(text) {
+    return text.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+// Lines removed from `before` and added in `after`, in order.
+// Returns [{ type: 'removed' | 'added', text }] or null if too large to diff.
+function diffLines(before, after) {
+    const a = splitLines(before);
+    const b = splitLines(after);
+    if (a.length * b.length > MAX_LINE_PAIRS) {
+        return null;
+    }
+
+    // lengths[i][j] = LCS length of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const changes = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            i++;
+            j++;
+        } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+            changes.push({ type: 'removed', text: a[i++] });
+        } else {
+            changes.push({ type: 'added', text: b[j++] });
+        }
+    }
+    return changes;
+}
+
+function normalizeForCompare(text) {
+    return text.normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+// Compare stored pages ({ n: { text } }) of two versions. Returns
+// { pages: [{ page_number, status, changes }], summary: { <status>: count } }
+// where status is unchanged, changed, added or removed; `changes` is the
+// line diff of changed pages (null when the page was too large to diff).
+function diffPages(beforePages, afterPages) {
+    const numbers = Array.from(new Set([...Object.keys(beforePages), ...Object.keys(afterPages)]))
+        .map(Number)
+        .sort((a, b) => a - b);
+    const summary = { unchanged: 0, changed: 0, added: 0, removed: 0 };
+
+    const pages = numbers.map(pageNumber => {
+        const before = beforePages[pageNumber];
+        const after = afterPages[pageNumber];
+        let entry;
+
+        if (!before) {
+            entry = { page_number: pageNumber, status: 'added' };
+        } else if (!after) {
+            entry = { page_number: pageNumber, status: 'removed' };
+        } else if (normalizeForCompare(before.text) === normalizeForCompare(after.text)) {
+            entry = { page_number: pageNumber, status: 'unchanged' };
+        } else {
+            entry = { page_number: pageNumber, status: 'changed', changes: diffLines(before.text, after.text) };
+        }
+
+        summary[entry.status]++;
+        return entry;
+    });
+
+    return { pages, summary };
+}
+
+module.exports = {
+    diffLines,
+    diffPages
+};
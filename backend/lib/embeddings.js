@@ -0,0 +1,128 @@
+// Optional semantic similarity over page chunks using a local sentence
+// embedding model, run on the CPU through @xenova/transformers. The package
+// is an optional dependency and the model is downloaded on first use, so
+// everything here is lazy and only enabled by configuration.
+
+class EmbeddingIndex {
+    constructor({ model, queryPrefix = '', passagePrefix = '', cacheDir } = {}) {
+        this.model = model;
+        this.queryPrefix = queryPrefix;
+        this.passagePrefix = passagePrefix;
+        this.cacheDir = cacheDir;
+        this.extractor = null;
+        this.vectors = new Map();
+        this.pending = new Map();
+        this.queue = Promise.resolve();
+    }
+
+    async getExtractor() {
+        if (!this.extractor) {
+            this.extractor = (async () => {
+                let transformers;
+                try {
+                    transformers = await import('@xenova/transformers');
+                } catch (error) {
+                    throw new Error('Semantic search requires the optional @xenova/transformers package');
+                }
+                if (this.cacheDir) {
+                    transformers.env.cacheDir = this.cacheDir;
+                }
+                return transformers.pipeline('feature-extraction', this.model);
+            })();
+            // Let a failed load be retried on the next call
+            this.extractor.catch(() => {
+                this.extractor = null;
+            });
+        }
+        return this.extractor;
+    }
+
+    async embed(text) {
+        const extractor = await this.getExtractor();
+        const output = await extractor(text, { pooling: 'mean', normalize: true });
+        return output.data;
+    }
+
+    // Queue chunks for embedding. Embedding runs in the background, one
+    // chunk at a time; the returned promise settles when these are done.
+    add(chunks) {
+        chunks.forEach(chunk => this.pending.set(chunk.id, chunk));
+
+        this.queue = this.queue.then(async () => {
+            for (const chunk of chunks) {
+                // Skip chunks whose document was removed while queued
+                if (this.pending.get(chunk.id) !== chunk) {
+                    continue;
+                }
+                const vector = await this.embed(this.passagePrefix + chunk.text);
+                if (this.pending.get(chunk.id) === chunk) {
+                    this.pending.delete(chunk.id);
+                    this.vectors.set(chunk.id, { chunk, vector });
+                }
+            }
+        }).catch(error => {
+            console.error('Embedding error:', error.message);
+            chunks.forEach(chunk => {
+                if (this.pending.get(chunk.id) === chunk) {
+                    this.pending.delete(chunk.id);
+                }
+            });
+        });
+
+        return this.queue;
+    }
+
+    removeDocument(documentId) {
+        [this.pending, this.vectors].forEach(entries => {
+            for (const [chunkId, entry] of Array.from(entries)) {
+                const chunk = entry.chunk || entry;
+                if (chunk.document_id === documentId) {
+                    entries.delete(chunkId);
+                }
+            }
+        });
+    }
+
+    // Number of chunks still waiting to be embedded
+    get pendingCount() {
+        return this.pending.size;
+    }
+
+    // Rank embedded chunks by cosine similarity to the query. Takes the same
+    // options as BM25Index.search and returns [{ ...chunk, score }].
+    async search(query, options = {}) {
+        const topK = options.topK || 5;
+        const allowed = options.documentIds ? new Set(options.documentIds) : null;
+        const filter = options.filter || null;
+
+        if (this.vectors.size === 0) {
+            return [];
+        }
+
+        const queryVector = await this.embed(this.queryPrefix + query);
+        const results = [];
+
+        this.vectors.forEach(({ chunk, vector }) => {
+            if (allowed && !allowed.has(chunk.document_id)) {
+                return;
+            }
+            if (filter && !filter(chunk)) {
+                return;
+            }
+
+            // Vectors are normalized, so the dot product is the cosine
+            let score = 0;
+            for (let i = 0; i < vector.length; i++) {
+                score += vector[i] * queryVector[i];
+            }
+            results.push({ ...chunk, score });
+        });
+
+        results.sort((a, b) => b.score - a.score);
+        return results.slice(0, topK);
+    }
+}
+
+module.exports = {
+    EmbeddingIndex
+};
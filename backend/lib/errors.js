@@ -0,0 +1,25 @@
+// Error carrying the HTTP status and client-facing detail for a response
+class HttpError extends Error {
+    constructor(status, detail) {
+        super(detail);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+// Send an error as { detail }. HttpErrors keep their status; anything else
+// is an unexpected failure, logged and reported as a 500 prefixed with the action.
+function sendError(res, error, action) {
+    if (error instanceof HttpError) {
+        return res.status(error.status).json({ detail: error.message });
+    }
+    console.error(`${action}:`, error);
+    res.status(500).json({
+        detail: `${action}: ${error.message}`
+    });
+}
+
+module.exports = {
+    HttpError,
+    sendError
+};
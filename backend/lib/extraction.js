@@ -0,0 +1,168 @@
+// Schema-driven key-fact extraction. Each page is sent to the model with the
+// schema below and must come back as JSON; items found on several pages are
+// merged, and every item keeps the pages (and quotes) it was found on.
+
+const { languageName } = require('./languages');
+
+// Fact types and the fields the model fills in for each item. `value` is
+// the field items are matched on when merging pages.
+const EXTRACTION_SCHEMA = {
+    dates: {
+        description: 'dates mentioned in the text (issue dates, effective dates, events)',
+        key: 'value',
+        fields: {
+            value: 'the date exactly as written',
+            normalized: 'the date as YYYY-MM-DD, or null if it is incomplete',
+            description: 'what the date refers to'
+        }
+    },
+    amounts: {
+        description: 'monetary amounts, fees, penalties and other sums of money',
+        key: 'value',
+        fields: {
+            value: 'the amount exactly as written',
+            currency: 'ISO 4217 currency code, or null if unknown',
+            description: 'what the amount is for'
+        }
+    },
+    names: {
+        description: 'names of people, organizations, government schemes and places',
+        key: 'value',
+        fields: {
+            value: 'the name exactly as written',
+            type: 'person, organization, scheme, place or other'
+        }
+    },
+    deadlines: {
+        description: 'deadlines and due dates by which something must be done',
+        key: 'description',
+        fields: {
+            description: 'what must be done',
+            date: 'the deadline exactly as written',
+            normalized: 'the deadline as YYYY-MM-DD, or null if it is incomplete'
+        }
+    }
+};
+
+const EXTRACTION_FIELDS = Object.keys(EXTRACTION_SCHEMA);
+
+function describeSchema(fields) {
+    return fields.map(field => {
+        const { description, fields: properties } = EXTRACTION_SCHEMA[field];
+        const listed = Object.entries(properties)
+            .map(([name, meaning]) => `    "${name}": ${meaning}`)
+            .concat('    "quote": a short verbatim excerpt of the text containing it')
+            .join('\n');
+        return `  "${field}": a list of ${description}, each an object with\n${listed}`;
+    }).join('\n');
+}
+
+function buildExtractionPrompt(text, fields, language) {
+    return `Extract key facts from the following page of a document.
+Reply with a JSON object with these keys:
+${describeSchema(fields)}
+Use empty lists when nothing of a kind is on the page. Only include facts stated in the text.
+Write descriptions in ${languageName(language)}; copy values and quotes from the text unchanged.
+Reply with the JSON object only.
+
+Page text:
+${text}
+
+JSON:`;
+}
+
+// Read the JSON object from a model reply, tolerating code fences and
+// text around it. Returns null when there is no valid object.
+function parseJsonReply(reply) {
+    const start = reply.indexOf('{');
+    const end = reply.lastIndexOf('}');
+    if (start === -1 || end < start) {
+        return null;
+    }
+    try {
+        const parsed = JSON.parse(reply.slice(start, end + 1));
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Keep only the schema's fields from a model-produced item, as strings or null
+function cleanItem(field, item) {
+    if (!item || typeof item !== 'object') {
+        return null;
+    }
+    const { key, fields } = EXTRACTION_SCHEMA[field];
+    const cleaned = {};
+    Object.keys(fields).forEach(name => {
+        const value = item[name];
+        cleaned[name] = value === undefined || value === null || value === '' ? null : String(value).trim();
+    });
+    return cleaned[key] ? cleaned : null;
+}
+
+function mergeKey(value) {
+    return value.normalize('NFC').toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Extract `fields` from `pages` ([{ pageNumber, text }] in order) with
+// `generate(prompt)`. Returns { results: { <field>: [{ ...item, citations:
+// [{ page_number, quote }] }] }, failed_pages } where failed_pages lists
+// pages whose reply was not valid JSON.
+async function extractFacts(pages, { fields = EXTRACTION_FIELDS, language, generate }) {
+    const merged = {};
+    fields.forEach(field => {
+        merged[field] = new Map();
+    });
+    const failedPages = [];
+
+    for (const { pageNumber, text } of pages) {
+        if (!text.trim()) {
+            continue;
+        }
+
+        const reply = parseJsonReply(await generate(buildExtractionPrompt(text, fields, language)));
+        if (!reply) {
+            failedPages.push(pageNumber);
+            continue;
+        }
+
+        fields.forEach(field => {
+            const items = Array.isArray(reply[field]) ? reply[field] : [];
+            items.forEach(raw => {
+                const item = cleanItem(field, raw);
+                if (!item) {
+                    return;
+                }
+                const citation = {
+                    page_number: pageNumber,
+                    quote: raw.quote ? String(raw.quote).trim() : null
+                };
+
+                const key = mergeKey(item[EXTRACTION_SCHEMA[field].key]);
+                const existing = merged[field].get(key);
+                if (existing) {
+                    if (!existing.citations.some(entry => entry.page_number === pageNumber)) {
+                        existing.citations.push(citation);
+                    }
+                } else {
+                    merged[field].set(key, { ...item, citations: [citation] });
+                }
+            });
+        });
+    }
+
+    const results = {};
+    fields.forEach(field => {
+        results[field] = Array.from(merged[field].values());
+    });
+    return { results, failed_pages: failedPages };
+}
+
+module.exports = {
+    EXTRACTION_FIELDS,
+    EXTRACTION_SCHEMA,
+    buildExtractionPrompt,
+    extractFacts,
+    parseJsonReply
+};
@@ -0,0 +1,18 @@
+const mammoth = require('mammoth');
+const { htmlToPages } = require('./html');
+
+// Word documents have no fixed pages; each heading-delimited section
+// becomes a page
+async function extractPagesFromDOCX(buffer) {
+    const { value: html } = await mammoth.convertToHtml({ buffer });
+    const pages = htmlToPages(html);
+
+    return {
+        pages,
+        totalPages: Object.keys(pages).length,
+        info: {},
+        ocr: {}
+    };
+}
+
+module.exports = { extractPagesFromDOCX };
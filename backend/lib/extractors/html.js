@@ -0,0 +1,74 @@
+const { BLOCK_SIZE, blocksToPages, splitIntoBlocks } = require('./text');
+
+const ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: '\u00A0'
+};
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+        }
+        return ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+function htmlToText(html) {
+    return decodeEntities(
+        html
+            .replace(/<(script|style|noscript|template)[\s\S]*?<\/\1>/gi, '')
+            .replace(/<!--[\s\S]*?-->/g, '')
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/(p|div|li|tr|h[1-6]|section|article|blockquote|pre|table)>/gi, '\n')
+            .replace(/<(td|th)[^>]*>/gi, '\t')
+            .replace(/<[^>]+>/g, '')
+    )
+        .replace(/[ \t\u00A0]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// Split HTML into sections at top-level headings (<h1>/<h2>). Each section
+// becomes a "page"; sections longer than a text block are split further.
+function htmlToPages(html) {
+    const body = (html.match(/<body[^>]*>([\s\S]*)<\/body>/i) || [null, html])[1];
+    const sections = body.split(/(?=<h[12][\s>])/i);
+    const blocks = [];
+
+    sections.forEach(section => {
+        const text = htmlToText(section);
+        if (text) {
+            blocks.push(...splitIntoBlocks(text, BLOCK_SIZE));
+        }
+    });
+
+    return blocksToPages(blocks);
+}
+
+async function extractPagesFromHTML(buffer) {
+    const html = buffer.toString('utf8');
+    const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+    const pages = htmlToPages(html);
+
+    return {
+        pages,
+        totalPages: Object.keys(pages).length,
+        info: title ? { Title: decodeEntities(title[1].trim()) } : {},
+        ocr: {}
+    };
+}
+
+module.exports = {
+    extractPagesFromHTML,
+    htmlToPages,
+    htmlToText
+};
@@ -0,0 +1,19 @@
+// A photo or scan is a single page of OCR'd text
+async function extractPagesFromImage(buffer, options = {}) {
+    const { ocrEngine, onProgress = () => {} } = options;
+    if (!ocrEngine) {
+        throw new Error('OCR is disabled, so image uploads cannot be processed');
+    }
+
+    onProgress({ stage: 'ocr', page: 1, totalPages: 1 });
+    const result = await ocrEngine.recognize(buffer);
+
+    return {
+        pages: { 1: result.text },
+        totalPages: 1,
+        info: {},
+        ocr: { 1: { confidence: result.confidence } }
+    };
+}
+
+module.exports = { extractPagesFromImage };
@@ -0,0 +1,68 @@
+const path = require('path');
+const { extractPagesFromPDF, extractTablesFromPDF } = require('./pdf');
+const { extractPagesFromDOCX } = require('./docx');
+const { extractPagesFromText } = require('./text');
+const { extractPagesFromHTML } = require('./html');
+const { extractPagesFromImage } = require('./image');
+
+// Extractors keyed by MIME type. Every extractor resolves to
+// { pages: { <n>: text }, totalPages, info, ocr: { <n>: { confidence } } },
+// plus tables: { <n>: [{ rows, bbox }] } from the extractors that detect them.
+// Options: ocrEngine, maxPages and onProgress (used by the slow extractors).
+const EXTRACTORS = {
+    'application/pdf': extractPagesFromPDF,
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': extractPagesFromDOCX,
+    'text/plain': extractPagesFromText,
+    'text/html': extractPagesFromHTML,
+    'image/png': extractPagesFromImage,
+    'image/jpeg': extractPagesFromImage,
+    'image/webp': extractPagesFromImage,
+    'image/tiff': extractPagesFromImage,
+    'image/bmp': extractPagesFromImage
+};
+
+// Browsers often send a generic type (or none) for .docx and friends
+const EXTENSION_TYPES = {
+    '.pdf': 'application/pdf',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    '.txt': 'text/plain',
+    '.htm': 'text/html',
+    '.html': 'text/html',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.tif': 'image/tiff',
+    '.tiff': 'image/tiff',
+    '.bmp': 'image/bmp'
+};
+
+const SUPPORTED_TYPES = Object.keys(EXTRACTORS);
+
+function resolveMimeType(file) {
+    const mimetype = (file.mimetype || '').split(';')[0].trim().toLowerCase();
+    if (EXTRACTORS[mimetype]) {
+        return mimetype;
+    }
+    return EXTENSION_TYPES[path.extname(file.originalname || '').toLowerCase()] || mimetype;
+}
+
+function isSupported(mimetype) {
+    return Boolean(EXTRACTORS[mimetype]);
+}
+
+async function extractPages(buffer, mimetype, options = {}) {
+    const extractor = EXTRACTORS[mimetype];
+    if (!extractor) {
+        throw new Error(`Unsupported file type: ${mimetype}`);
+    }
+    return extractor(buffer, options);
+}
+
+module.exports = {
+    SUPPORTED_TYPES,
+    extractPages,
+    extractTablesFromPDF,
+    isSupported,
+    resolveMimeType
+};
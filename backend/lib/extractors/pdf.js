@@ -0,0 +1,85 @@
+const { layoutFromContent, loadPdf, renderPage } = require('../pdfRender');
+const { detectTables } = require('../tables');
+
+// Page text from pdf.js text content (see layoutFromContent)
+function textFromContent(content) {
+    return layoutFromContent(content).text;
+}
+
+// Extract text page by page. Every page of the PDF gets an entry, even when
+// it is empty, so page numbers always match the original document.
+// Pages without a text layer are OCR'd when an OCR engine is given.
+// Tables found in the text layer are returned by page as `tables`.
+// `onProgress({ stage, page, totalPages })` is called as pages are read.
+async function extractPagesFromPDF(buffer, options = {}) {
+    const { ocrEngine, maxPages, onProgress = () => {} } = options;
+    const pdf = await loadPdf(buffer);
+
+    try {
+        const totalPages = pdf.numPages;
+        const { info } = await pdf.getMetadata().catch(() => ({ info: {} }));
+        const pages = {};
+        const ocr = {};
+        const tables = {};
+
+        // Don't spend time extracting documents that will be rejected
+        if (maxPages && totalPages > maxPages) {
+            return { pages, totalPages, info, ocr, tables };
+        }
+
+        for (let pageNum = 1; pageNum <= totalPages; pageNum++) {
+            onProgress({ stage: 'extracting', page: pageNum, totalPages });
+            const page = await pdf.getPage(pageNum);
+            const content = await page.getTextContent();
+            pages[pageNum] = textFromContent(content);
+            const pageTables = detectTables(content.items);
+            if (pageTables.length > 0) {
+                tables[pageNum] = pageTables;
+            }
+            page.cleanup();
+
+            if (!pages[pageNum] && ocrEngine) {
+                onProgress({ stage: 'ocr', page: pageNum, totalPages });
+                try {
+                    const image = await renderPage(pdf, pageNum, ocrEngine.renderScale);
+                    const result = await ocrEngine.recognize(image);
+                    pages[pageNum] = result.text;
+                    ocr[pageNum] = { confidence: result.confidence };
+                } catch (error) {
+                    console.error(`OCR error on page ${pageNum}:`, error);
+                }
+            }
+        }
+
+        return { pages, totalPages, info, ocr, tables };
+    } finally {
+        await pdf.destroy();
+    }
+}
+
+// Detect tables in an already stored PDF, without extracting text again.
+// Returns { <n>: [table] } for the pages that have any.
+async function extractTablesFromPDF(buffer) {
+    const pdf = await loadPdf(buffer);
+
+    try {
+        const tables = {};
+        for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+            const page = await pdf.getPage(pageNum);
+            const pageTables = detectTables((await page.getTextContent()).items);
+            if (pageTables.length > 0) {
+                tables[pageNum] = pageTables;
+            }
+            page.cleanup();
+        }
+        return tables;
+    } finally {
+        await pdf.destroy();
+    }
+}
+
+module.exports = {
+    extractPagesFromPDF,
+    extractTablesFromPDF,
+    textFromContent
+};
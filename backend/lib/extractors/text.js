@@ -0,0 +1,57 @@
+// Plain text has no pages, so it is split into fixed-size blocks that
+// break on paragraph or line boundaries where possible
+const BLOCK_SIZE = 3000;
+
+function splitIntoBlocks(text, blockSize = BLOCK_SIZE) {
+    const blocks = [];
+    let current = '';
+
+    const push = () => {
+        if (current.trim()) {
+            blocks.push(current.trim());
+        }
+        current = '';
+    };
+
+    text.split(/(\n)/).forEach(part => {
+        if (current.length + part.length > blockSize && current.trim()) {
+            push();
+        }
+        // A single line longer than a block is cut hard
+        while (part.length > blockSize) {
+            blocks.push(part.slice(0, blockSize));
+            part = part.slice(blockSize);
+        }
+        current += part;
+    });
+    push();
+
+    return blocks;
+}
+
+function blocksToPages(blocks) {
+    const pages = {};
+    blocks.forEach((block, index) => {
+        pages[index + 1] = block;
+    });
+    return pages;
+}
+
+async function extractPagesFromText(buffer) {
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const pages = blocksToPages(splitIntoBlocks(text));
+
+    return {
+        pages,
+        totalPages: Object.keys(pages).length,
+        info: {},
+        ocr: {}
+    };
+}
+
+module.exports = {
+    BLOCK_SIZE,
+    blocksToPages,
+    extractPagesFromText,
+    splitIntoBlocks
+};
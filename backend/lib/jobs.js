@@ -0,0 +1,103 @@
+// In-memory queue for background work such as document ingestion. Jobs run
+// in submission order, a few at a time, and their records (status, progress,
+// result or error) stay available for polling until they are pruned.
+
+const STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+class JobQueue {
+    constructor({ concurrency = 1, maxFinished = 500, generateId } = {}) {
+        this.concurrency = concurrency;
+        this.maxFinished = maxFinished;
+        this.generateId = generateId;
+        this.jobs = new Map();
+        this.waiting = [];
+        this.running = 0;
+    }
+
+    // Queue `handler(update)` as a job. `update(progress)` merges progress
+    // fields into the job record; the handler's return value becomes the
+    // job result. `details` are extra fields shown on the record.
+    enqueue(type, details, handler) {
+        const job = {
+            id: this.generateId('job'),
+            type,
+            status: 'queued',
+            ...details,
+            progress: { stage: 'queued' },
+            result: null,
+            error: null,
+            created_at: new Date().toISOString(),
+            started_at: null,
+            finished_at: null
+        };
+
+        this.jobs.set(job.id, job);
+        this.waiting.push({ job, handler });
+        this.next();
+        return job;
+    }
+
+    next() {
+        while (this.running < this.concurrency && this.waiting.length > 0) {
+            const { job, handler } = this.waiting.shift();
+            this.running++;
+            this.run(job, handler).finally(() => {
+                this.running--;
+                this.prune();
+                this.next();
+            });
+        }
+    }
+
+    async run(job, handler) {
+        job.status = 'running';
+        job.started_at = new Date().toISOString();
+
+        const update = progress => {
+            Object.assign(job.progress, progress);
+        };
+
+        try {
+            job.result = await handler(update);
+            job.status = 'completed';
+            job.progress.stage = 'done';
+        } catch (error) {
+            job.status = 'failed';
+            job.error = error.message;
+            if (!error.status) {
+                console.error(`Job ${job.id} (${job.type}) failed:`, error);
+            }
+        } finally {
+            job.finished_at = new Date().toISOString();
+        }
+    }
+
+    get(jobId) {
+        return this.jobs.get(jobId) || null;
+    }
+
+    // Jobs newest first, optionally only those of a type and/or status
+    list({ type, status } = {}) {
+        return Array.from(this.jobs.values())
+            .filter(job => (!type || job.type === type) && (!status || job.status === status))
+            .reverse();
+    }
+
+    // Position of a queued job in the queue (0 = next to run)
+    position(jobId) {
+        return this.waiting.findIndex(entry => entry.job.id === jobId);
+    }
+
+    // Forget the oldest finished jobs beyond the retention limit
+    prune() {
+        const finished = Array.from(this.jobs.values())
+            .filter(job => job.status === 'completed' || job.status === 'failed');
+        finished.slice(0, Math.max(0, finished.length - this.maxFinished))
+            .forEach(job => this.jobs.delete(job.id));
+    }
+}
+
+module.exports = {
+    JobQueue,
+    STATUSES
+};
@@ -0,0 +1,168 @@
+// Supported languages (ISO 639-1) and Unicode script detection
+
+const LANGUAGES = {
+    en: { name: 'English', nativeName: 'English', script: 'Latin' },
+    hi: { name: 'Hindi', nativeName: 'हिन्दी', script: 'Devanagari' },
+    mr: { name: 'Marathi', nativeName: 'मराठी', script: 'Devanagari' },
+    ne: { name: 'Nepali', nativeName: 'नेपाली', script: 'Devanagari' },
+    bn: { name: 'Bengali', nativeName: 'বাংলা', script: 'Bengali' },
+    as: { name: 'Assamese', nativeName: 'অসমীয়া', script: 'Bengali' },
+    pa: { name: 'Punjabi', nativeName: 'ਪੰਜਾਬੀ', script: 'Gurmukhi' },
+    gu: { name: 'Gujarati', nativeName: 'ગુજરાતી', script: 'Gujarati' },
+    or: { name: 'Odia', nativeName: 'ଓଡ଼ିଆ', script: 'Oriya' },
+    ta: { name: 'Tamil', nativeName: 'தமிழ்', script: 'Tamil' },
+    te: { name: 'Telugu', nativeName: 'తెలుగు', script: 'Telugu' },
+    kn: { name: 'Kannada', nativeName: 'ಕನ್ನಡ', script: 'Kannada' },
+    ml: { name: 'Malayalam', nativeName: 'മലയാളം', script: 'Malayalam' },
+    ur: { name: 'Urdu', nativeName: 'اردو', script: 'Arabic' }
+};
+
+// Unicode blocks per script, with the language assumed when only the
+// script is known
+const SCRIPTS = [
+    { name: 'Devanagari', start: 0x0900, end: 0x097F, language: 'hi' },
+    { name: 'Bengali', start: 0x0980, end: 0x09FF, language: 'bn' },
+    { name: 'Gurmukhi', start: 0x0A00, end: 0x0A7F, language: 'pa' },
+    { name: 'Gujarati', start: 0x0A80, end: 0x0AFF, language: 'gu' },
+    { name: 'Oriya', start: 0x0B00, end: 0x0B7F, language: 'or' },
+    { name: 'Tamil', start: 0x0B80, end: 0x0BFF, language: 'ta' },
+    { name: 'Telugu', start: 0x0C00, end: 0x0C7F, language: 'te' },
+    { name: 'Kannada', start: 0x0C80, end: 0x0CFF, language: 'kn' },
+    { name: 'Malayalam', start: 0x0D00, end: 0x0D7F, language: 'ml' },
+    { name: 'Arabic', start: 0x0600, end: 0x06FF, language: 'ur' }
+];
+
+const LATIN_PATTERN = /[A-Za-zÀ-ɏ]/;
+
+function scriptOf(char) {
+    const code = char.codePointAt(0);
+    const script = SCRIPTS.find(s => code >= s.start && code <= s.end);
+    if (script) {
+        return script.name;
+    }
+    return LATIN_PATTERN.test(char) ? 'Latin' : null;
+}
+
+// Count letters per script: { Devanagari: 120, Latin: 14 }
+function countScripts(text) {
+    const counts = {};
+    for (const char of text || '') {
+        const script = scriptOf(char);
+        if (script) {
+            counts[script] = (counts[script] || 0) + 1;
+        }
+    }
+    return counts;
+}
+
+// The script with the most letters, or null for text without letters
+function detectScript(text) {
+    const counts = countScripts(text);
+    let best = null;
+    Object.entries(counts).forEach(([script, count]) => {
+        if (!best || count > counts[best]) {
+            best = script;
+        }
+    });
+    return best;
+}
+
+function languageForScript(script) {
+    if (script === 'Latin') {
+        return 'en';
+    }
+    const entry = SCRIPTS.find(s => s.name === script);
+    return entry ? entry.language : null;
+}
+
+// A page counts as mixed when its second script has at least this share
+// of the letters (e.g. Hindi text with English passages)
+const MIXED_SCRIPT_SHARE = 0.2;
+
+// Common function words that tell apart languages sharing a script
+const MARKER_WORDS = {
+    Devanagari: {
+        hi: ['है', 'हैं', 'और', 'में', 'की', 'के', 'का', 'से', 'यह', 'लिए'],
+        mr: ['आहे', 'आहेत', 'आणि', 'या', 'व', 'हे', 'करण्यात', 'नाही', 'साठी'],
+        ne: ['छ', 'छन्', 'र', 'मा', 'हो', 'गर्न', 'भएको', 'लागि']
+    },
+    Bengali: {
+        bn: ['এবং', 'করা', 'হয়', 'এই', 'জন্য', 'থেকে'],
+        as: ['আৰু', 'কৰা', 'হয়', 'এই', 'বাবে', 'পৰা']
+    }
+};
+
+// Pick between languages that share a script by counting marker words
+function languageFromMarkers(script, text) {
+    const candidates = MARKER_WORDS[script];
+    const fallback = languageForScript(script);
+    if (!candidates) {
+        return fallback;
+    }
+
+    const words = text.split(/[\s,.;:!?()"'।॥-]+/u);
+    let best = fallback;
+    let bestCount = 0;
+
+    Object.entries(candidates).forEach(([language, markers]) => {
+        const markerSet = new Set(markers);
+        const count = words.filter(word => markerSet.has(word)).length;
+        if (count > bestCount) {
+            best = language;
+            bestCount = count;
+        }
+    });
+
+    return best;
+}
+
+// Detect the language and script of a piece of text using only Unicode
+// script counts and marker words. Returns { language, script } where script
+// is "Mixed" when no single script dominates; both are null without letters.
+function detectLanguage(text) {
+    const counts = Object.entries(countScripts(text)).sort((a, b) => b[1] - a[1]);
+    if (counts.length === 0) {
+        return { language: null, script: null };
+    }
+
+    const total = counts.reduce((sum, [, count]) => sum + count, 0);
+    const [dominant] = counts[0];
+    const mixed = counts.length > 1 && counts[1][1] / total >= MIXED_SCRIPT_SHARE;
+
+    return {
+        language: languageFromMarkers(dominant, text),
+        script: mixed ? 'Mixed' : dominant
+    };
+}
+
+function isSupportedLanguage(code) {
+    return Object.prototype.hasOwnProperty.call(LANGUAGES, code);
+}
+
+function languageName(code) {
+    return isSupportedLanguage(code) ? LANGUAGES[code].name : code;
+}
+
+// Code points of the digit zero in Arabic-Indic, Extended Arabic-Indic and
+// the Indic scripts; the other nine digits follow each one
+const DIGIT_ZEROS = [0x0660, 0x06F0, 0x0966, 0x09E6, 0x0A66, 0x0AE6, 0x0B66, 0x0BE6, 0x0C66, 0x0CE6, 0x0D66];
+
+// Convert native digits (e.g. Devanagari "३") to ASCII digits
+function normalizeDigits(text) {
+    return text.replace(/\p{Nd}/gu, char => {
+        const code = char.codePointAt(0);
+        const zero = DIGIT_ZEROS.find(z => code >= z && code <= z + 9);
+        return zero === undefined ? char : String(code - zero);
+    });
+}
+
+module.exports = {
+    LANGUAGES,
+    countScripts,
+    detectLanguage,
+    detectScript,
+    isSupportedLanguage,
+    languageForScript,
+    languageName,
+    normalizeDigits
+};
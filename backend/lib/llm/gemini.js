@@ -0,0 +1,54 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+// Google Gemini provider
+class GeminiProvider {
+    constructor({ apiKey, model, temperature, maxTokens }) {
+        if (!apiKey) {
+            throw new Error('GEMINI_API_KEY is required for the gemini provider');
+        }
+
+        this.name = 'gemini';
+        this.client = new GoogleGenerativeAI(apiKey);
+        this.model = model;
+        this.temperature = temperature;
+        this.maxTokens = maxTokens;
+    }
+
+    getModel(options) {
+        return this.client.getGenerativeModel({
+            model: options.model || this.model,
+            generationConfig: {
+                temperature: options.temperature ?? this.temperature,
+                maxOutputTokens: options.maxTokens ?? this.maxTokens
+            }
+        });
+    }
+
+    async generate(prompt, options = {}) {
+        const result = await this.getModel(options).generateContent(prompt);
+        const response = await result.response;
+        const usage = response.usageMetadata;
+
+        return {
+            text: response.text(),
+            model: options.model || this.model,
+            usage: usage ? {
+                input_tokens: usage.promptTokenCount || 0,
+                output_tokens: usage.candidatesTokenCount || 0
+            } : null
+        };
+    }
+
+    async *stream(prompt, options = {}) {
+        const result = await this.getModel(options).generateContentStream(prompt);
+
+        for await (const chunk of result.stream) {
+            const text = chunk.text();
+            if (text) {
+                yield text;
+            }
+        }
+    }
+}
+
+module.exports = GeminiProvider;
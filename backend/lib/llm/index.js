@@ -0,0 +1,26 @@
+const GeminiProvider = require('./gemini');
+const OpenAICompatibleProvider = require('./openai');
+const MockProvider = require('./mock');
+
+// Every provider implements:
+//   generate(prompt, { model, temperature, maxTokens }) -> Promise<{ text, model, usage }>
+//   stream(prompt, { model, temperature, maxTokens })   -> AsyncIterable<string>
+// where usage is { input_tokens, output_tokens } as reported by the API, or
+// null when it reports none.
+const PROVIDERS = {
+    gemini: config => new GeminiProvider({ ...config.gemini, ...config }),
+    openai: config => new OpenAICompatibleProvider({ ...config.openai, ...config }),
+    mock: config => new MockProvider({ ...config })
+};
+
+function createProvider(config) {
+    const factory = PROVIDERS[config.provider];
+    if (!factory) {
+        throw new Error(
+            `Unknown LLM provider "${config.provider}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`
+        );
+    }
+    return factory(config);
+}
+
+module.exports = { createProvider };
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+
+// Deterministic offline provider for tests and local development.
+// The same prompt always produces the same response, and the response
+// cites (and quotes) the first document page found in the prompt so that
+// citation parsing and verification can be exercised without a real model.
+// Key-fact extraction from plain patterns: numeric dates and rupee amounts
+function mockExtraction(text) {
+    const found = (pattern) => Array.from(text.matchAll(pattern), match => match[0]);
+    return {
+        dates: found(/\b\d{1,2}[./-]\d{1,2}[./-]\d{4}\b|\b\d{4}-\d{2}-\d{2}\b/g)
+            .map(value => ({ value, normalized: null, description: null, quote: value })),
+        amounts: found(/(?:₹|Rs\.?)\s?[\d,]+|[\d,]+ rupees/gi)
+            .map(value => ({ value, currency: 'INR', description: null, quote: value })),
+        names: [],
+        deadlines: []
+    };
+}
+
+// One "Answer" row citing the first passage listed for each document
+function mockComparison(prompt) {
+    const cells = {};
+    prompt.split(/^=== /m).slice(1).forEach(section => {
+        const tag = section.match(/^(D\d+):/);
+        const passage = section.match(/^- Page (\d+): "(.*)"$/m);
+        if (tag) {
+            cells[tag[1]] = passage
+                ? `As stated [Document: ${tag[1]}, Page: ${passage[1]}, Quote: "${passage[2]}"]`
+                : 'Not mentioned';
+        }
+    });
+    return { aspects: [{ aspect: 'Answer', cells }], summary: 'Mock comparison' };
+}
+
+class MockProvider {
+    constructor({ model, temperature, maxTokens }) {
+        this.name = 'mock';
+        this.model = model || 'mock';
+        this.temperature = temperature;
+        this.maxTokens = maxTokens;
+    }
+
+    async generate(prompt, options = {}) {
+        const digest = crypto.createHash('sha1').update(prompt).digest('hex').slice(0, 8);
+        const question = prompt.match(/^Question: (.*)$/m);
+        const text = prompt.match(/^Text: ([\s\S]*?)\n\nTranslation:/m);
+        const citation = prompt.match(/\[Document: ([^\]]+)\]\n(.*)/);
+        const followUp = prompt.match(/^Follow-up question: (.*)$/m);
+
+        const pageText = prompt.match(/^Page text:\n([\s\S]*?)\n\nJSON:/m);
+
+        let output;
+        if (pageText) {
+            output = JSON.stringify(mockExtraction(pageText[1]));
+        } else if (prompt.trimEnd().endsWith('Comparison JSON:')) {
+            output = JSON.stringify(mockComparison(prompt));
+        } else if (followUp && prompt.trimEnd().endsWith('Standalone question:')) {
+            output = followUp[1].trim();
+        } else if (question) {
+            output = `Mock answer (${digest}) to "${question[1].trim()}".`;
+            if (citation) {
+                const quote = citation[2].split(/\s+/).slice(0, 8).join(' ').replace(/"/g, '');
+                output += ` [Document: ${citation[1]}, Quote: "${quote}"]`;
+
+                // Also cite the second cell of a table in the same passage
+                const passage = prompt.slice(citation.index).split('</passage>')[0];
+                const cell = passage.match(/^<table number="(\d+)"[\s\S]*?^\| R2 \| [^|]*\| ([^|\n]*) \|/m);
+                if (cell) {
+                    output += ` The table gives ${cell[2]} [Document: ${citation[1]}, Table: ${cell[1]}, Cell: R2C2]`;
+                }
+            }
+        } else if (text) {
+            output = text[1].trim();
+        } else {
+            output = `Mock response (${digest})`;
+        }
+
+        return { text: output, model: options.model || this.model, usage: null };
+    }
+
+    // Streams the generate() output word by word
+    async *stream(prompt, options = {}) {
+        const { text } = await this.generate(prompt, options);
+        for (const piece of text.match(/\S+\s*/g) || []) {
+            yield piece;
+        }
+    }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,87 @@
+// Provider for any OpenAI-compatible chat completions API
+// (OpenAI itself, or a local Ollama / vLLM server)
+class OpenAICompatibleProvider {
+    constructor({ baseUrl, apiKey, model, temperature, maxTokens }) {
+        this.name = 'openai';
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.model = model;
+        this.temperature = temperature;
+        this.maxTokens = maxTokens;
+    }
+
+    async request(prompt, options, stream) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                model: options.model || this.model,
+                messages: [{ role: 'user', content: prompt }],
+                temperature: options.temperature ?? this.temperature,
+                max_tokens: options.maxTokens ?? this.maxTokens,
+                stream
+            })
+        });
+
+        if (!response.ok) {
+            const body = await response.text();
+            throw new Error(`LLM request failed (${response.status}): ${body.slice(0, 500)}`);
+        }
+
+        return response;
+    }
+
+    async generate(prompt, options = {}) {
+        const modelName = options.model || this.model;
+        const response = await this.request(prompt, options, false);
+        const data = await response.json();
+        const text = data.choices?.[0]?.message?.content;
+        if (typeof text !== 'string') {
+            throw new Error('LLM response did not contain any message content');
+        }
+
+        return {
+            text,
+            model: data.model || modelName,
+            usage: data.usage ? {
+                input_tokens: data.usage.prompt_tokens || 0,
+                output_tokens: data.usage.completion_tokens || 0
+            } : null
+        };
+    }
+
+    // Yields content deltas from the "data: {...}" lines of the SSE response
+    async *stream(prompt, options = {}) {
+        const response = await this.request(prompt, options, true);
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        for await (const bytes of response.body) {
+            buffer += decoder.decode(bytes, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                const data = line.trim();
+                if (!data.startsWith('data:')) {
+                    continue;
+                }
+                const payload = data.slice(5).trim();
+                if (payload === '[DONE]') {
+                    return;
+                }
+                const text = JSON.parse(payload).choices?.[0]?.delta?.content;
+                if (text) {
+                    yield text;
+                }
+            }
+        }
+    }
+}
+
+module.exports = OpenAICompatibleProvider;
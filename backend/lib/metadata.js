@@ -0,0 +1,155 @@
+// Editable document metadata (title, department, date, language, tags) and
+// the filters used to pick documents by it.
+
+const { HttpError } = require('./errors');
+const { isSupportedLanguage } = require('./languages');
+
+const MAX_TEXT_LENGTH = 200;
+const MAX_TAGS = 50;
+const MAX_TAG_LENGTH = 50;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function isValidDate(value) {
+    return DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+// Tags as a list or comma-separated string; trimmed, without duplicates
+// (compared case-insensitively)
+function parseTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags).split(',');
+    const seen = new Set();
+    return list
+        .map(tag => String(tag).trim())
+        .filter(tag => {
+            const key = tag.toLowerCase();
+            if (!tag || seen.has(key)) {
+                return false;
+            }
+            seen.add(key);
+            return true;
+        });
+}
+
+function optionalText(value, name) {
+    if (value === null || value === '') {
+        return null;
+    }
+    if (typeof value !== 'string' || value.length > MAX_TEXT_LENGTH) {
+        throw new HttpError(400, `${name} must be a string of at most ${MAX_TEXT_LENGTH} characters`);
+    }
+    return value.trim() || null;
+}
+
+// Validate metadata changes from a request body. Only the fields present
+// are returned; null (or '') clears a field.
+function parseMetadataChanges(body) {
+    const changes = {};
+
+    if (body.title !== undefined) {
+        changes.title = optionalText(body.title, 'title');
+    }
+    if (body.department !== undefined) {
+        changes.department = optionalText(body.department, 'department');
+    }
+    if (body.date !== undefined) {
+        if (body.date !== null && body.date !== '' && !isValidDate(body.date)) {
+            throw new HttpError(400, 'date must be in YYYY-MM-DD format');
+        }
+        changes.date = body.date || null;
+    }
+    if (body.language !== undefined) {
+        if (body.language !== null && body.language !== '' && !isSupportedLanguage(body.language)) {
+            throw new HttpError(400, `Unsupported language: ${body.language}`);
+        }
+        changes.language = body.language || null;
+    }
+    if (body.tags !== undefined) {
+        const tags = body.tags === null ? [] : parseTags(body.tags);
+        if (tags.length > MAX_TAGS || tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+            throw new HttpError(400, `At most ${MAX_TAGS} tags of at most ${MAX_TAG_LENGTH} characters each`);
+        }
+        changes.tags = tags;
+    }
+
+    return changes;
+}
+
+// Read a document filter from query parameters or a JSON body:
+// { collection, tags, language, department, q, date_from, date_to }.
+// `collection` (an ID or name) is returned as given for the caller to resolve.
+function parseDocumentFilter(raw = {}) {
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new HttpError(400, 'filter must be an object');
+    }
+
+    const filter = {
+        collection: raw.collection || null,
+        tags: raw.tags ? parseTags(raw.tags).map(tag => tag.toLowerCase()) : [],
+        language: raw.language || null,
+        department: raw.department ? String(raw.department).toLowerCase() : null,
+        query: raw.q ? String(raw.q).toLowerCase() : null,
+        dateFrom: raw.date_from || null,
+        dateTo: raw.date_to || null
+    };
+
+    if (filter.language && !isSupportedLanguage(filter.language)) {
+        throw new HttpError(400, `Unsupported language filter: ${filter.language}`);
+    }
+    [filter.dateFrom, filter.dateTo].forEach(date => {
+        if (date && !isValidDate(date)) {
+            throw new HttpError(400, 'date_from and date_to must be in YYYY-MM-DD format');
+        }
+    });
+
+    return filter;
+}
+
+function isEmptyFilter(filter) {
+    return !filter.collection && filter.tags.length === 0 && !filter.language
+        && !filter.department && !filter.query && !filter.dateFrom && !filter.dateTo;
+}
+
+// Whether a document matches a parsed filter. `collectionIds` is the set
+// of collection IDs the filter's collection resolved to.
+function matchesFilter(doc, filter, collectionIds = null) {
+    if (collectionIds && !(doc.collection_ids || []).some(id => collectionIds.has(id))) {
+        return false;
+    }
+
+    const docTags = new Set((doc.tags || []).map(tag => tag.toLowerCase()));
+    if (!filter.tags.every(tag => docTags.has(tag))) {
+        return false;
+    }
+
+    // A language set by hand replaces the detected page languages
+    if (filter.language && !(doc.language
+        ? doc.language === filter.language
+        : (doc.languages || []).includes(filter.language))) {
+        return false;
+    }
+
+    if (filter.department && (doc.department || '').toLowerCase() !== filter.department) {
+        return false;
+    }
+    if (filter.query && ![doc.title, doc.filename].some(text => (text || '').toLowerCase().includes(filter.query))) {
+        return false;
+    }
+    if ((filter.dateFrom || filter.dateTo) && !doc.date) {
+        return false;
+    }
+    if (filter.dateFrom && doc.date < filter.dateFrom) {
+        return false;
+    }
+    if (filter.dateTo && doc.date > filter.dateTo) {
+        return false;
+    }
+
+    return true;
+}
+
+module.exports = {
+    isEmptyFilter,
+    matchesFilter,
+    parseDocumentFilter,
+    parseMetadataChanges
+};
@@ -0,0 +1,82 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { createWorker } = require('tesseract.js');
+
+// Local OCR with tesseract.js. Traineddata ships with the
+// @tesseract.js-data/<lang> packages, so no network access is needed.
+
+// Copy the bundled traineddata files into one directory, since tesseract.js
+// loads every language from a single langPath
+async function prepareLanguageData(languages, targetDir) {
+    await fs.mkdir(targetDir, { recursive: true });
+
+    for (const language of languages) {
+        const target = path.join(targetDir, `${language}.traineddata.gz`);
+        try {
+            await fs.access(target);
+        } catch {
+            const data = require(`@tesseract.js-data/${language}`);
+            await fs.copyFile(path.join(data.langPath, `${language}.traineddata.gz`), target);
+        }
+    }
+
+    return targetDir;
+}
+
+class OcrEngine {
+    constructor({ languages, langPath, dataDir, renderScale }) {
+        this.languages = languages;
+        this.langPath = langPath;
+        this.dataDir = dataDir;
+        this.renderScale = renderScale;
+        this.worker = null;
+        // Recognition is CPU bound; run one page at a time
+        this.queue = Promise.resolve();
+    }
+
+    async getWorker() {
+        if (!this.worker) {
+            this.worker = (async () => {
+                const langPath = this.langPath ||
+                    await prepareLanguageData(this.languages, path.join(this.dataDir, 'tessdata'));
+                return createWorker(this.languages.join('+'), 1, {
+                    langPath,
+                    gzip: true,
+                    cacheMethod: 'none'
+                });
+            })();
+            // Let a failed start be retried on the next call
+            this.worker.catch(() => {
+                this.worker = null;
+            });
+        }
+        return this.worker;
+    }
+
+    // Recognize text in an image buffer. Confidence is 0-100.
+    recognize(image) {
+        const run = this.queue.then(async () => {
+            const worker = await this.getWorker();
+            const { data } = await worker.recognize(image);
+            return {
+                text: data.text.trim(),
+                confidence: Math.round(data.confidence * 10) / 10
+            };
+        });
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    async terminate() {
+        if (this.worker) {
+            const worker = await this.worker;
+            this.worker = null;
+            await worker.terminate();
+        }
+    }
+}
+
+module.exports = {
+    OcrEngine,
+    prepareLanguageData
+};
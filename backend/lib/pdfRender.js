@@ -0,0 +1,168 @@
+const path = require('path');
+const { createCanvas, DOMMatrix, ImageData, Path2D } = require('@napi-rs/canvas');
+
+// pdf.js expects these browser globals when rendering; provide them from
+// @napi-rs/canvas before it loads so it does not look for node-canvas
+global.DOMMatrix = global.DOMMatrix || DOMMatrix;
+global.ImageData = global.ImageData || ImageData;
+global.Path2D = global.Path2D || Path2D;
+
+const pdfjsLib = require('pdfjs-dist/legacy/build/pdf.js');
+
+const PDFJS_DIR = path.dirname(require.resolve('pdfjs-dist/package.json'));
+const STANDARD_FONTS_URL = path.join(PDFJS_DIR, 'standard_fonts') + path.sep;
+
+// pdf.js draws through this factory instead of a browser <canvas>
+class NodeCanvasFactory {
+    create(width, height) {
+        const canvas = createCanvas(width, height);
+        return { canvas, context: canvas.getContext('2d') };
+    }
+
+    reset(canvasAndContext, width, height) {
+        canvasAndContext.canvas.width = width;
+        canvasAndContext.canvas.height = height;
+    }
+
+    destroy(canvasAndContext) {
+        canvasAndContext.canvas.width = 0;
+        canvasAndContext.canvas.height = 0;
+        canvasAndContext.canvas = null;
+        canvasAndContext.context = null;
+    }
+}
+
+// Open a PDF buffer with pdf.js. Callers must destroy() the result.
+async function loadPdf(buffer) {
+    return pdfjsLib.getDocument({
+        data: new Uint8Array(buffer),
+        canvasFactory: new NodeCanvasFactory(),
+        standardFontDataUrl: STANDARD_FONTS_URL,
+        isEvalSupported: false,
+        verbosity: 0
+    }).promise;
+}
+
+// Join pdf.js text items into page text, honouring end-of-line markers and
+// dropping trailing spaces on each line. Also returns where each item sits
+// in the text so character ranges can be mapped back to page positions:
+// `offsets[i]` is the index in the joined items of text character i.
+function layoutFromContent(content) {
+    let raw = '';
+    const items = [];
+    content.items.forEach(item => {
+        items.push({
+            start: raw.length,
+            end: raw.length + item.str.length,
+            transform: item.transform,
+            width: item.width,
+            height: item.height || Math.hypot(item.transform[2], item.transform[3])
+        });
+        raw += item.str;
+        if (item.hasEOL) {
+            raw += '\n';
+        }
+    });
+
+    const dropped = new Set();
+    for (const match of raw.matchAll(/[ \t]+\n/g)) {
+        for (let i = match.index; i < match.index + match[0].length - 1; i++) {
+            dropped.add(i);
+        }
+    }
+
+    let offsets = [];
+    for (let i = 0; i < raw.length; i++) {
+        if (!dropped.has(i)) {
+            offsets.push(i);
+        }
+    }
+
+    // Trim surrounding whitespace, as String.prototype.trim does
+    let first = 0;
+    let last = offsets.length;
+    while (first < last && /\s/.test(raw[offsets[first]])) {
+        first++;
+    }
+    while (last > first && /\s/.test(raw[offsets[last - 1]])) {
+        last--;
+    }
+    offsets = offsets.slice(first, last);
+
+    return {
+        text: offsets.map(i => raw[i]).join(''),
+        offsets,
+        items
+    };
+}
+
+// Rectangles (in PDF user space) covering text characters start..end
+function textRectangles(layout, start, end) {
+    const from = layout.offsets[Math.max(0, start)];
+    const to = layout.offsets[Math.min(end, layout.offsets.length) - 1];
+    if (from === undefined || to === undefined) {
+        return [];
+    }
+
+    return layout.items
+        .filter(item => item.end > from && item.start <= to && item.end > item.start)
+        .map(item => {
+            // Assume evenly spaced characters to cover part of an item
+            const length = item.end - item.start;
+            const left = (Math.max(from, item.start) - item.start) / length;
+            const right = (Math.min(to + 1, item.end) - item.start) / length;
+            const [, , , , x, y] = item.transform;
+            return [
+                x + item.width * left,
+                y - item.height * 0.25,
+                x + item.width * right,
+                y + item.height
+            ];
+        });
+}
+
+// Render one page of an open PDF to a PNG buffer. `highlights` is a list of
+// { start, end } character ranges of the page's extracted text to mark.
+async function renderPage(pdf, pageNumber, scale = 2, { highlights = [] } = {}) {
+    const page = await pdf.getPage(pageNumber);
+    const viewport = page.getViewport({ scale });
+    const canvasFactory = new NodeCanvasFactory();
+    const { canvas, context } = canvasFactory.create(
+        Math.ceil(viewport.width),
+        Math.ceil(viewport.height)
+    );
+
+    // Scanned pages often have transparent backgrounds; OCR wants white
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    await page.render({ canvasContext: context, viewport, canvasFactory }).promise;
+
+    if (highlights.length > 0) {
+        const layout = layoutFromContent(await page.getTextContent());
+        context.fillStyle = 'rgba(255, 212, 0, 0.35)';
+        highlights.forEach(({ start, end }) => {
+            textRectangles(layout, start, end).forEach(rect => {
+                const [x1, y1, x2, y2] = viewport.convertToViewportRectangle(rect);
+                context.fillRect(
+                    Math.min(x1, x2),
+                    Math.min(y1, y2),
+                    Math.abs(x2 - x1),
+                    Math.abs(y2 - y1)
+                );
+            });
+        });
+    }
+
+    const png = canvas.toBuffer('image/png');
+
+    page.cleanup();
+    return png;
+}
+
+module.exports = {
+    layoutFromContent,
+    loadPdf,
+    renderPage,
+    textRectangles
+};
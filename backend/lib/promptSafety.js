@@ -0,0 +1,87 @@
+// Safeguards for document text placed in prompts: sanitizing it so it
+// cannot pose as prompt structure, spotting instructions aimed at the model
+// ("ignore previous instructions"), and estimating prompt size in tokens.
+
+// Control characters (other than tab and newline), zero-width characters
+// and bidirectional overrides, which can hide text from readers
+const INVISIBLE_CHARS = /[\u0000-\u0008\u000B-\u001F\u007F\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]/g;
+
+// Tags delimiting passages in the context, and labels with a meaning in
+// the prompt, which page text must not be able to imitate
+const DELIMITER_TAG = /<\s*(\/?)\s*(documents|passage|table)\b[^>]*>/gi;
+const CITATION_HEADER = /\[(\s*Document\s*:)/gi;
+const PROMPT_LABEL = /^(\s*)(system|assistant|user|question|answer|instructions)(\s*):/gim;
+
+// Phrases typical of text trying to steer the model rather than inform
+// the reader
+const INJECTION_PATTERNS = [
+    /\b(ignore|disregard|forget|override)\b[^.\n]{0,40}\b(previous|prior|above|earlier|all|any|your)\b[^.\n]{0,30}\b(instructions?|prompts?|rules|directions|context)\b/i,
+    /\b(new|updated|real|actual)\s+(system\s+)?instructions?\s*:/i,
+    /\byou\s+(are\s+now|must\s+now|will\s+now|should\s+now)\b/i,
+    /\b(reveal|print|show|repeat|output)\b[^.\n]{0,30}\b(system\s+prompt|your\s+instructions|the\s+prompt)\b/i,
+    /\bsystem\s+prompt\b/i,
+    /\b(act|behave|respond)\s+as\s+(if\s+you\s+are\s+|an?\s+)?(ai|assistant|chatbot|language\s+model|dan)\b/i,
+    /\bdo\s+not\s+(cite|mention|tell|reveal)\b[^.\n]{0,40}\b(user|source|document)s?\b/i,
+    /<\|?(im_start|im_end|system|endoftext)\|?>|\[\/?INST\]/i,
+    /(पिछले|उपरोक्त|सभी)\s+(निर्देशों|निर्देश)\s*(को)?\s*(अनदेखा|नज़रअंदाज़|नजरअंदाज)/
+];
+
+// Characters of surrounding text shown with a flagged match
+const EXCERPT_RADIUS = 60;
+
+function sanitizeContextText(text) {
+    return text
+        .replace(INVISIBLE_CHARS, '')
+        .replace(DELIMITER_TAG, (match, slash, name) => `‹${slash}${name}›`)
+        .replace(CITATION_HEADER, '($1')
+        .replace(PROMPT_LABEL, '$1$2$3 -');
+}
+
+// Find instruction-like passages in text. Returns [{ excerpt, start, end }]
+// with offsets into `text`, in order, without overlaps.
+function detectSuspiciousInstructions(text) {
+    const found = [];
+
+    INJECTION_PATTERNS.forEach(pattern => {
+        const global = new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g');
+        for (const match of text.matchAll(global)) {
+            const start = match.index;
+            const end = start + match[0].length;
+            if (!found.some(existing => start < existing.end && end > existing.start)) {
+                found.push({ start, end });
+            }
+        }
+    });
+
+    return found
+        .sort((a, b) => a.start - b.start)
+        .map(({ start, end }) => {
+            const from = Math.max(0, start - EXCERPT_RADIUS);
+            const to = Math.min(text.length, end + EXCERPT_RADIUS);
+            const excerpt = (from > 0 ? '…' : '') + text.slice(from, to).replace(/\s+/g, ' ').trim()
+                + (to < text.length ? '…' : '');
+            return { excerpt, start, end };
+        });
+}
+
+// Conservative token estimate without a tokenizer: about four characters
+// per token for ASCII text, while Indic and other non-Latin scripts often
+// take a token or more for every one or two characters
+function estimateTokens(text) {
+    let ascii = 0;
+    let other = 0;
+    for (const char of text) {
+        if (char.charCodeAt(0) < 128) {
+            ascii++;
+        } else {
+            other++;
+        }
+    }
+    return Math.ceil(ascii / 4 + other / 1.5);
+}
+
+module.exports = {
+    detectSuspiciousInstructions,
+    estimateTokens,
+    sanitizeContextText
+};
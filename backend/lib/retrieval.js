@@ -0,0 +1,242 @@
+// Chunking and lexical (BM25) retrieval over extracted document pages.
+// Tokenization is Unicode-aware so that Indic scripts (Devanagari, Tamil,
+// Bengali, Telugu, ...) keep their combining vowel signs inside a token.
+
+const DEFAULT_CHUNK_SIZE = 1000;
+const DEFAULT_CHUNK_OVERLAP = 200;
+
+// BM25 tuning parameters
+const K1 = 1.5;
+const B = 0.75;
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'did', 'do', 'does', 'for',
+    'from', 'how', 'in', 'is', 'it', 'of', 'on', 'or', 'that', 'the', 'this',
+    'to', 'was', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'with'
+]);
+
+const TOKEN_PATTERN = /[\p{L}\p{M}\p{N}]+/gu;
+
+// Zero-width joiners only affect glyph shaping, never meaning
+const ZERO_WIDTH_PATTERN = /[\u200B-\u200D\uFEFF]/g;
+
+// Spelling variants that are used interchangeably in Indic text: the nukta
+// (ज़/ज, फ़/फ) is often dropped, and chandrabindu is often written as
+// anusvara. NFC decomposes precomposed nukta letters, so stripping the
+// combining sign folds both spellings together.
+const NUKTA_PATTERN = /[\u093C\u09BC\u0A3C\u0ABC\u0B3C\u0CBC]/g;
+const CHANDRABINDU_PATTERN = /[\u0901\u0981]/g;
+const CHANDRABINDU_TO_ANUSVARA = { '\u0901': '\u0902', '\u0981': '\u0982' };
+
+function normalizeText(text) {
+    return text
+        .normalize('NFC')
+        .replace(ZERO_WIDTH_PATTERN, '')
+        .replace(NUKTA_PATTERN, '')
+        .replace(CHANDRABINDU_PATTERN, sign => CHANDRABINDU_TO_ANUSVARA[sign])
+        .toLowerCase();
+}
+
+function tokenize(text) {
+    const tokens = normalizeText(text || '').match(TOKEN_PATTERN) || [];
+    return tokens.filter(token => !STOP_WORDS.has(token));
+}
+
+// Tokens of a text with their character offsets in the original string,
+// compared in normalized form (used to highlight matches)
+function tokenSpans(text) {
+    return Array.from((text || '').matchAll(TOKEN_PATTERN), match => ({
+        token: normalizeText(match[0]),
+        start: match.index,
+        end: match.index + match[0].length
+    }));
+}
+
+// Find a good place to end a chunk: prefer a sentence end, then whitespace
+function findChunkEnd(text, start, size) {
+    const hardEnd = Math.min(start + size, text.length);
+    if (hardEnd === text.length) {
+        return hardEnd;
+    }
+
+    const window = text.slice(start, hardEnd);
+    const minEnd = Math.floor(size / 2);
+
+    const sentenceEnd = Math.max(
+        window.lastIndexOf('. '),
+        window.lastIndexOf('।'),
+        window.lastIndexOf('? '),
+        window.lastIndexOf('! '),
+        window.lastIndexOf('\n')
+    );
+    if (sentenceEnd >= minEnd) {
+        return start + sentenceEnd + 1;
+    }
+
+    const spaceEnd = window.lastIndexOf(' ');
+    if (spaceEnd >= minEnd) {
+        return start + spaceEnd + 1;
+    }
+
+    return hardEnd;
+}
+
+// Split pages into overlapping chunks. Chunks never cross a page boundary
+// so every chunk can be cited with a single page number.
+function chunkPages(documentId, pages, options = {}) {
+    const size = options.chunkSize || DEFAULT_CHUNK_SIZE;
+    const overlap = Math.min(options.chunkOverlap ?? DEFAULT_CHUNK_OVERLAP, size - 1);
+    const chunks = [];
+
+    Object.entries(pages).forEach(([pageNum, pageText]) => {
+        const text = (pageText || '').trim();
+        let start = 0;
+        let index = 0;
+
+        while (start < text.length) {
+            const end = findChunkEnd(text, start, size);
+            const chunkText = text.slice(start, end).trim();
+
+            if (chunkText) {
+                chunks.push({
+                    id: `${documentId}:${pageNum}:${index}`,
+                    document_id: documentId,
+                    page_number: parseInt(pageNum),
+                    text: chunkText
+                });
+                index++;
+            }
+
+            if (end >= text.length) {
+                break;
+            }
+            start = Math.max(end - overlap, start + 1);
+        }
+    });
+
+    return chunks;
+}
+
+// Incrementally maintained BM25 index over chunks of all documents
+class BM25Index {
+    constructor() {
+        this.chunks = new Map();
+        this.termFrequencies = new Map();
+        this.lengths = new Map();
+        this.documentFrequencies = new Map();
+        this.totalLength = 0;
+    }
+
+    add(chunks) {
+        chunks.forEach(chunk => {
+            if (this.chunks.has(chunk.id)) {
+                this.removeChunk(chunk.id);
+            }
+
+            const tokens = tokenize(chunk.text);
+            const frequencies = new Map();
+            tokens.forEach(token => {
+                frequencies.set(token, (frequencies.get(token) || 0) + 1);
+            });
+
+            frequencies.forEach((_, token) => {
+                this.documentFrequencies.set(token, (this.documentFrequencies.get(token) || 0) + 1);
+            });
+
+            this.chunks.set(chunk.id, chunk);
+            this.termFrequencies.set(chunk.id, frequencies);
+            this.lengths.set(chunk.id, tokens.length);
+            this.totalLength += tokens.length;
+        });
+    }
+
+    removeChunk(chunkId) {
+        const frequencies = this.termFrequencies.get(chunkId);
+        if (!frequencies) {
+            return;
+        }
+
+        frequencies.forEach((_, token) => {
+            const count = this.documentFrequencies.get(token) - 1;
+            if (count > 0) {
+                this.documentFrequencies.set(token, count);
+            } else {
+                this.documentFrequencies.delete(token);
+            }
+        });
+
+        this.totalLength -= this.lengths.get(chunkId);
+        this.chunks.delete(chunkId);
+        this.termFrequencies.delete(chunkId);
+        this.lengths.delete(chunkId);
+    }
+
+    removeDocument(documentId) {
+        for (const chunk of Array.from(this.chunks.values())) {
+            if (chunk.document_id === documentId) {
+                this.removeChunk(chunk.id);
+            }
+        }
+    }
+
+    getDocumentChunks(documentId) {
+        return Array.from(this.chunks.values())
+            .filter(chunk => chunk.document_id === documentId);
+    }
+
+    // Rank chunks against a query. Returns [{ ...chunk, score }] best first.
+    // Options: topK, documentIds (restrict to these documents) and filter
+    // (a predicate each chunk must pass).
+    search(query, options = {}) {
+        const topK = options.topK || 5;
+        const allowed = options.documentIds ? new Set(options.documentIds) : null;
+        const filter = options.filter || null;
+        const queryTokens = Array.from(new Set(tokenize(query)));
+        const chunkCount = this.chunks.size;
+
+        if (chunkCount === 0 || queryTokens.length === 0) {
+            return [];
+        }
+
+        const averageLength = this.totalLength / chunkCount || 1;
+        const results = [];
+
+        this.chunks.forEach((chunk, chunkId) => {
+            if (allowed && !allowed.has(chunk.document_id)) {
+                return;
+            }
+            if (filter && !filter(chunk)) {
+                return;
+            }
+
+            const frequencies = this.termFrequencies.get(chunkId);
+            const length = this.lengths.get(chunkId);
+            let score = 0;
+
+            queryTokens.forEach(token => {
+                const tf = frequencies.get(token);
+                if (!tf) {
+                    return;
+                }
+                const df = this.documentFrequencies.get(token);
+                const idf = Math.log(1 + (chunkCount - df + 0.5) / (df + 0.5));
+                score += idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * length / averageLength));
+            });
+
+            if (score > 0) {
+                results.push({ ...chunk, score });
+            }
+        });
+
+        results.sort((a, b) => b.score - a.score);
+        return results.slice(0, topK);
+    }
+}
+
+module.exports = {
+    BM25Index,
+    chunkPages,
+    normalizeText,
+    tokenSpans,
+    tokenize
+};
@@ -0,0 +1,126 @@
+// Page-level search results: grouping ranked chunks by page, fusing
+// lexical and semantic rankings, and building highlighted snippets.
+
+const { tokenSpans, tokenize } = require('./retrieval');
+
+const SNIPPET_RADIUS = 120;
+
+// Reciprocal rank fusion constant; higher values flatten rank differences
+const RRF_K = 60;
+
+// Collapse ranked chunks into pages, keeping each page's best chunk score.
+// Returns [{ document_id, page_number, score, chunk }] best first.
+function groupByPage(chunks) {
+    const pages = new Map();
+
+    chunks.forEach(chunk => {
+        const key = `${chunk.document_id}:${chunk.page_number}`;
+        const page = pages.get(key);
+        if (!page || chunk.score > page.score) {
+            pages.set(key, {
+                document_id: chunk.document_id,
+                page_number: chunk.page_number,
+                score: chunk.score,
+                chunk
+            });
+        }
+    });
+
+    return Array.from(pages.values()).sort((a, b) => b.score - a.score);
+}
+
+// Merge several page rankings with reciprocal rank fusion, since BM25 and
+// cosine scores are not on comparable scales
+function fuseRankings(rankings) {
+    const fused = new Map();
+
+    rankings.forEach(ranking => {
+        ranking.forEach((page, rank) => {
+            const key = `${page.document_id}:${page.page_number}`;
+            const entry = fused.get(key) || { ...page, score: 0 };
+            entry.score += 1 / (RRF_K + rank + 1);
+            fused.set(key, entry);
+        });
+    });
+
+    return Array.from(fused.values()).sort((a, b) => b.score - a.score);
+}
+
+// Collapse each run of whitespace to one space. `offsets[i]` is where
+// character i of the original text lands in the result (offsets[length]
+// is the result length), so ranges can be carried over.
+function collapseWhitespace(text) {
+    let result = '';
+    const offsets = [];
+    for (let i = 0; i < text.length; i++) {
+        offsets.push(result.length);
+        if (!/\s/.test(text[i])) {
+            result += text[i];
+        } else if (i === 0 || !/\s/.test(text[i - 1])) {
+            result += ' ';
+        }
+    }
+    offsets.push(result.length);
+    return { text: result, offsets };
+}
+
+// Pick the part of a page that best matches the query and mark the matched
+// words. Returns { snippet, highlights: [{ start, end }] } with offsets into
+// the snippet. Without any lexical match the snippet starts at `fallbackStart`.
+function buildSnippet(text, query, options = {}) {
+    const radius = options.radius || SNIPPET_RADIUS;
+    const queryTokens = new Set(tokenize(query));
+    const matches = tokenSpans(text).filter(span => queryTokens.has(span.token));
+
+    // Centre the window on the match whose neighbourhood holds the most
+    // distinct query words
+    let center = options.fallbackStart !== undefined ? options.fallbackStart + radius : radius;
+    let bestCount = 0;
+    matches.forEach(match => {
+        const nearby = new Set(matches
+            .filter(other => Math.abs(other.start - match.start) <= radius)
+            .map(other => other.token));
+        if (nearby.size > bestCount) {
+            bestCount = nearby.size;
+            center = match.start;
+        }
+    });
+
+    let start = Math.max(0, center - radius);
+    let end = Math.min(text.length, center + radius);
+
+    // Avoid cutting words in half
+    if (start > 0) {
+        const space = text.indexOf(' ', start);
+        if (space !== -1 && space < center) {
+            start = space + 1;
+        }
+    }
+    if (end < text.length) {
+        const space = text.lastIndexOf(' ', end);
+        if (space > center) {
+            end = space;
+        }
+    }
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    const collapsed = collapseWhitespace(text.slice(start, end));
+    const highlights = matches
+        .filter(match => match.start >= start && match.end <= end)
+        .map(match => ({
+            start: collapsed.offsets[match.start - start] + prefix.length,
+            end: collapsed.offsets[match.end - start] + prefix.length
+        }));
+
+    return {
+        snippet: prefix + collapsed.text + suffix,
+        highlights
+    };
+}
+
+module.exports = {
+    buildSnippet,
+    fuseRankings,
+    groupByPage
+};
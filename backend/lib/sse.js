@@ -0,0 +1,48 @@
+// Minimal Server-Sent Events writer for an Express response
+function openEventStream(req, res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        // Stop reverse proxies (nginx) from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Watch the response, not the request: the request emits 'close' as
+    // soon as its body has been read, while the client is still listening
+    let disconnected = false;
+    res.on('close', () => {
+        disconnected = true;
+    });
+
+    const stream = {
+        get closed() {
+            return disconnected || res.writableEnded || res.destroyed;
+        },
+
+        send(event, data) {
+            if (stream.closed) {
+                return;
+            }
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        },
+
+        end() {
+            if (!res.writableEnded) {
+                res.end();
+            }
+        }
+    };
+
+    return stream;
+}
+
+function wantsEventStream(req) {
+    return (req.get('Accept') || '').includes('text/event-stream');
+}
+
+module.exports = {
+    openEventStream,
+    wantsEventStream
+};
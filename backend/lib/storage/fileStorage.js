@@ -0,0 +1,322 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// IDs are generated by the server, but never let one escape the data dir
+function isValidId(id) {
+    return typeof id === 'string' && /^[\w-]+$/.test(id);
+}
+
+function checkId(id, kind) {
+    if (!isValidId(id)) {
+        throw new Error(`Invalid ${kind} id: ${id}`);
+    }
+    return id;
+}
+
+// Write via a temporary file so a crash never leaves half-written JSON.
+// Temporary names are unique so overlapping writes of one file don't collide.
+let tempCounter = 0;
+
+async function writeAtomic(target, data) {
+    const temp = `${target}.${process.pid}.${++tempCounter}.tmp`;
+    await fs.writeFile(temp, data);
+    await fs.rename(temp, target);
+}
+
+async function readJSONIfExists(file) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+// File-based storage. Each document lives in its own directory:
+//
+//   <dataDir>/documents/<id>/document.json   metadata
+//   <dataDir>/documents/<id>/pages.json      { "<page>": { text, ... } }
+//   <dataDir>/documents/<id>/original        uploaded file bytes
+//   <dataDir>/documents/<id>/artifacts/      derived files (rendered pages, ...)
+//   <dataDir>/conversations/<id>.json        conversation with its messages
+//   <dataDir>/users.json                     user accounts with hashed API keys
+//   <dataDir>/workspaces.json                workspaces and their members
+//   <dataDir>/collections.json               named document collections
+//   <dataDir>/usage/<YYYY-MM-DD>.jsonl       model calls of a UTC day, one JSON record per line
+//
+// Document metadata, users, workspaces and collections are cached in memory
+// after init(); page text, file bytes and conversations are read from disk
+// on demand.
+class FileStorage {
+    constructor({ dataDir }) {
+        this.dataDir = dataDir;
+        this.documentsDir = path.join(dataDir, 'documents');
+        this.conversationsDir = path.join(dataDir, 'conversations');
+        this.usageDir = path.join(dataDir, 'usage');
+        this.documents = new Map();
+        this.users = new Map();
+        this.workspaces = new Map();
+        this.collections = new Map();
+    }
+
+    async init() {
+        await fs.mkdir(this.documentsDir, { recursive: true });
+        await fs.mkdir(this.conversationsDir, { recursive: true });
+        await fs.mkdir(this.usageDir, { recursive: true });
+
+        const entries = await fs.readdir(this.documentsDir, { withFileTypes: true });
+        for (const entry of entries) {
+            if (!entry.isDirectory()) {
+                continue;
+            }
+            try {
+                const metadata = await this.readJSON(entry.name, 'document.json');
+                this.documents.set(metadata.id, metadata);
+            } catch (error) {
+                console.error(`Skipping unreadable document ${entry.name}:`, error.message);
+            }
+        }
+
+        const users = await readJSONIfExists(path.join(this.dataDir, 'users.json'));
+        (users || []).forEach(user => this.users.set(user.id, user));
+        const workspaces = await readJSONIfExists(path.join(this.dataDir, 'workspaces.json'));
+        (workspaces || []).forEach(workspace => this.workspaces.set(workspace.id, workspace));
+        const collections = await readJSONIfExists(path.join(this.dataDir, 'collections.json'));
+        (collections || []).forEach(collection => this.collections.set(collection.id, collection));
+    }
+
+    documentDir(id) {
+        return path.join(this.documentsDir, checkId(id, 'document'));
+    }
+
+    async readJSON(id, file) {
+        const raw = await fs.readFile(path.join(this.documentDir(id), file), 'utf8');
+        return JSON.parse(raw);
+    }
+
+    async writeFile(id, file, data) {
+        await writeAtomic(path.join(this.documentDir(id), file), data);
+    }
+
+    async writeJSON(id, file, value) {
+        await this.writeFile(id, file, JSON.stringify(value));
+    }
+
+    async listDocuments() {
+        return Array.from(this.documents.values())
+            .sort((a, b) => a.upload_time.localeCompare(b.upload_time));
+    }
+
+    async getDocument(id) {
+        return this.documents.get(id) || null;
+    }
+
+    async hasDocument(id) {
+        return this.documents.has(id);
+    }
+
+    async saveDocument(metadata, pages, original) {
+        await fs.mkdir(this.documentDir(metadata.id), { recursive: true });
+        await this.writeJSON(metadata.id, 'pages.json', pages);
+        if (original) {
+            await this.writeFile(metadata.id, 'original', original);
+        }
+        // Metadata goes last: a document only exists once it is fully written
+        await this.writeJSON(metadata.id, 'document.json', metadata);
+        this.documents.set(metadata.id, metadata);
+        return metadata;
+    }
+
+    async updateDocument(id, changes) {
+        const current = this.documents.get(id);
+        if (!current) {
+            return null;
+        }
+        const updated = { ...current, ...changes, id };
+        await this.writeJSON(id, 'document.json', updated);
+        this.documents.set(id, updated);
+        return updated;
+    }
+
+    async getPages(id) {
+        if (!this.documents.has(id)) {
+            return null;
+        }
+        return this.readJSON(id, 'pages.json');
+    }
+
+    async getPage(id, pageNumber) {
+        const pages = await this.getPages(id);
+        return (pages && pages[pageNumber]) || null;
+    }
+
+    async getOriginal(id) {
+        if (!this.documents.has(id)) {
+            return null;
+        }
+        try {
+            return await fs.readFile(path.join(this.documentDir(id), 'original'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    artifactFile(id, name) {
+        if (!/^[\w.@-]+$/.test(name)) {
+            throw new Error(`Invalid artifact name: ${name}`);
+        }
+        return path.join(this.documentDir(id), 'artifacts', name);
+    }
+
+    // Derived data that can be regenerated, such as rendered page images
+    async getArtifact(id, name) {
+        if (!this.documents.has(id)) {
+            return null;
+        }
+        try {
+            return await fs.readFile(this.artifactFile(id, name));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async saveArtifact(id, name, data) {
+        if (!this.documents.has(id)) {
+            return false;
+        }
+        const file = this.artifactFile(id, name);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await writeAtomic(file, data);
+        return true;
+    }
+
+    async deleteDocument(id) {
+        if (!this.documents.has(id)) {
+            return false;
+        }
+        this.documents.delete(id);
+        await fs.rm(this.documentDir(id), { recursive: true, force: true });
+        return true;
+    }
+
+    async listUsers() {
+        return Array.from(this.users.values());
+    }
+
+    async getUser(id) {
+        return this.users.get(id) || null;
+    }
+
+    async saveUser(user) {
+        this.users.set(user.id, user);
+        await writeAtomic(path.join(this.dataDir, 'users.json'),
+            JSON.stringify(Array.from(this.users.values())));
+        return user;
+    }
+
+    async listWorkspaces() {
+        return Array.from(this.workspaces.values());
+    }
+
+    async getWorkspace(id) {
+        return this.workspaces.get(id) || null;
+    }
+
+    async saveWorkspace(workspace) {
+        this.workspaces.set(workspace.id, workspace);
+        await writeAtomic(path.join(this.dataDir, 'workspaces.json'),
+            JSON.stringify(Array.from(this.workspaces.values())));
+        return workspace;
+    }
+
+    async listCollections() {
+        return Array.from(this.collections.values());
+    }
+
+    async getCollection(id) {
+        return this.collections.get(id) || null;
+    }
+
+    async saveCollection(collection) {
+        this.collections.set(collection.id, collection);
+        await this.writeCollections();
+        return collection;
+    }
+
+    async deleteCollection(id) {
+        if (!this.collections.delete(id)) {
+            return false;
+        }
+        await this.writeCollections();
+        return true;
+    }
+
+    async writeCollections() {
+        await writeAtomic(path.join(this.dataDir, 'collections.json'),
+            JSON.stringify(Array.from(this.collections.values())));
+    }
+
+    // Usage records are appended to the file of the day they were made
+    async recordUsage(record) {
+        const file = path.join(this.usageDir, `${record.timestamp.slice(0, 10)}.jsonl`);
+        await fs.appendFile(file, JSON.stringify(record) + '\n');
+        return record;
+    }
+
+    // Records of the days from..to (YYYY-MM-DD, inclusive), oldest first
+    async listUsage(from, to) {
+        const days = (await fs.readdir(this.usageDir))
+            .filter(name => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(name))
+            .map(name => name.slice(0, 10))
+            .filter(day => day >= from && day <= to)
+            .sort();
+
+        const records = [];
+        for (const day of days) {
+            const lines = (await fs.readFile(path.join(this.usageDir, `${day}.jsonl`), 'utf8')).split('\n');
+            lines.filter(Boolean).forEach(line => records.push(JSON.parse(line)));
+        }
+        return records;
+    }
+
+    conversationFile(id) {
+        return path.join(this.conversationsDir, `${checkId(id, 'conversation')}.json`);
+    }
+
+    async getConversation(id) {
+        if (!isValidId(id)) {
+            return null;
+        }
+        return readJSONIfExists(this.conversationFile(id));
+    }
+
+    async saveConversation(conversation) {
+        await writeAtomic(this.conversationFile(conversation.id), JSON.stringify(conversation));
+        return conversation;
+    }
+
+    async deleteConversation(id) {
+        if (!isValidId(id)) {
+            return false;
+        }
+        try {
+            await fs.unlink(this.conversationFile(id));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw error;
+        }
+    }
+}
+
+module.exports = FileStorage;
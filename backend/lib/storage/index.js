@@ -0,0 +1,29 @@
+const FileStorage = require('./fileStorage');
+
+// Storage backends share this interface (all methods are async):
+//   init()
+//   listDocuments() / getDocument(id) / hasDocument(id)
+//   saveDocument(metadata, pages, originalBuffer) / updateDocument(id, changes)
+//   getPages(id) / getPage(id, pageNumber) / getOriginal(id)
+//   getArtifact(id, name) / saveArtifact(id, name, buffer)
+//   deleteDocument(id)
+//   getConversation(id) / saveConversation(conversation) / deleteConversation(id)
+//   listUsers() / getUser(id) / saveUser(user)
+//   listWorkspaces() / getWorkspace(id) / saveWorkspace(workspace)
+//   listCollections() / getCollection(id) / saveCollection(collection) / deleteCollection(id)
+//   recordUsage(record) / listUsage(fromDay, toDay)
+const DRIVERS = {
+    file: config => new FileStorage(config)
+};
+
+function createStorage(config) {
+    const factory = DRIVERS[config.driver];
+    if (!factory) {
+        throw new Error(
+            `Unknown storage driver "${config.driver}". Expected one of: ${Object.keys(DRIVERS).join(', ')}`
+        );
+    }
+    return factory(config);
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,86 @@
+// Map-reduce document summaries: every page is summarized on its own, runs
+// of pages are combined into section summaries, and the sections into one
+// summary of the whole document. Each model call sees a bounded amount of
+// text however long the document is.
+
+const { languageName } = require('./languages');
+
+// Pages combined into one section summary
+const SECTION_PAGES = 5;
+
+function buildPageSummaryPrompt(text, language) {
+    return `Summarize the following page of a document in ${languageName(language)}.
+Write 2-4 sentences covering its main points, including any dates, amounts, names and deadlines.
+Reply with the summary only.
+
+Page text:
+${text}
+
+Summary:`;
+}
+
+function buildCombinedSummaryPrompt(parts, language, scope) {
+    const listed = parts.map(part => `[${part.label}]\n${part.summary}`).join('\n\n');
+
+    return `Below are summaries of consecutive parts of a document. Combine them into one summary of ${scope} in ${languageName(language)}.
+Keep the most important points, dates, amounts, names and deadlines, and do not add anything that is not in the summaries.
+Reply with the summary only.
+
+${listed}
+
+Summary:`;
+}
+
+function pageRange(start, end) {
+    return start === end ? `Page ${start}` : `Pages ${start}-${end}`;
+}
+
+// Summarize `pages` ([{ pageNumber, text }] in order) with
+// `generate(prompt)`. Blank pages are skipped. Returns
+// { summary, sections: [{ start_page, end_page, summary }], pages: [{ page_number, summary }] }.
+async function summarizeDocument(pages, { language, generate, sectionPages = SECTION_PAGES }) {
+    const pageSummaries = [];
+    for (const { pageNumber, text } of pages) {
+        if (text.trim()) {
+            const summary = await generate(buildPageSummaryPrompt(text, language));
+            pageSummaries.push({ page_number: pageNumber, summary: summary.trim() });
+        }
+    }
+
+    if (pageSummaries.length === 0) {
+        return { summary: '', sections: [], pages: [] };
+    }
+
+    const sections = [];
+    for (let i = 0; i < pageSummaries.length; i += sectionPages) {
+        const run = pageSummaries.slice(i, i + sectionPages);
+        const start = run[0].page_number;
+        const end = run[run.length - 1].page_number;
+
+        // A one-page section is just that page's summary
+        const summary = run.length === 1
+            ? run[0].summary
+            : await generate(buildCombinedSummaryPrompt(
+                run.map(page => ({ label: pageRange(page.page_number, page.page_number), summary: page.summary })),
+                language,
+                'these pages'
+            ));
+        sections.push({ start_page: start, end_page: end, summary: summary.trim() });
+    }
+
+    const summary = sections.length === 1
+        ? sections[0].summary
+        : await generate(buildCombinedSummaryPrompt(
+            sections.map(section => ({ label: pageRange(section.start_page, section.end_page), summary: section.summary })),
+            language,
+            'the whole document'
+        ));
+
+    return { summary: summary.trim(), sections, pages: pageSummaries };
+}
+
+module.exports = {
+    buildCombinedSummaryPrompt,
+    buildPageSummaryPrompt,
+    summarizeDocument
+};
@@ -0,0 +1,188 @@
+// Table detection from pdf.js text item positions, and the forms tables
+// are handed out in (CSV exports and prompt context).
+//
+// Text items are grouped into lines by baseline, and each line into cells
+// at wide horizontal gaps. Runs of consecutive lines with several cells
+// form a table; its columns are the merged x-ranges of all its cells.
+
+const { sanitizeContextText } = require('./promptSafety');
+
+const MIN_ROWS = 2;
+const MIN_COLUMNS = 2;
+// Horizontal gap between items, in text heights, that starts a new cell
+const CELL_GAP = 1;
+// Gap between items, in text heights, that is read as a word space
+const WORD_GAP = 0.15;
+// Vertical distance between lines, in text heights, that ends a table
+const ROW_GAP = 2.5;
+// Columns of prose (two-column layouts) have long lines; table cells rarely do
+const MAX_MEAN_CELL_LENGTH = 40;
+
+function itemBox(item) {
+    const [, , , , x, y] = item.transform;
+    return {
+        text: item.str,
+        x0: x,
+        x1: x + item.width,
+        y,
+        height: item.height || Math.hypot(item.transform[2], item.transform[3]) || 10
+    };
+}
+
+// Lines of text items, top to bottom, each with its items left to right
+function textLines(items) {
+    const boxes = items
+        .filter(item => item.str && item.str.trim())
+        .map(itemBox)
+        .sort((a, b) => b.y - a.y || a.x0 - b.x0);
+
+    const lines = [];
+    boxes.forEach(box => {
+        const line = lines[lines.length - 1];
+        if (line && Math.abs(line.y - box.y) <= Math.min(line.height, box.height) / 2) {
+            line.boxes.push(box);
+            line.height = Math.max(line.height, box.height);
+        } else {
+            lines.push({ y: box.y, height: box.height, boxes: [box] });
+        }
+    });
+
+    lines.forEach(line => line.boxes.sort((a, b) => a.x0 - b.x0));
+    return lines;
+}
+
+// Split a line into cells wherever items are far apart
+function lineCells(line) {
+    const cells = [];
+    line.boxes.forEach(box => {
+        const cell = cells[cells.length - 1];
+        const gap = cell ? box.x0 - cell.x1 : Infinity;
+        if (gap < line.height * CELL_GAP) {
+            cell.text += (gap > line.height * WORD_GAP ? ' ' : '') + box.text;
+            cell.x1 = Math.max(cell.x1, box.x1);
+        } else {
+            cells.push({ text: box.text, x0: box.x0, x1: box.x1 });
+        }
+    });
+    return cells.map(cell => ({ ...cell, text: cell.text.replace(/\s+/g, ' ').trim() }));
+}
+
+// Lay out a run of lines as a grid, or return null if it does not look
+// like a table
+function buildTable(rows) {
+    const spans = rows
+        .flatMap(row => row.cells.map(cell => ({ x0: cell.x0, x1: cell.x1 })))
+        .sort((a, b) => a.x0 - b.x0);
+    const columns = [];
+    spans.forEach(span => {
+        const column = columns[columns.length - 1];
+        if (column && span.x0 <= column.x1) {
+            column.x1 = Math.max(column.x1, span.x1);
+        } else {
+            columns.push({ ...span });
+        }
+    });
+    if (columns.length < MIN_COLUMNS) {
+        return null;
+    }
+
+    const grid = rows.map(row => {
+        const values = new Array(columns.length).fill('');
+        row.cells.forEach(cell => {
+            const index = columns.findIndex(column => cell.x0 <= column.x1 && cell.x1 >= column.x0);
+            values[index] = values[index] ? `${values[index]} ${cell.text}` : cell.text;
+        });
+        return values;
+    });
+
+    const filled = grid.flat().filter(Boolean);
+    const meanLength = filled.reduce((sum, value) => sum + value.length, 0) / filled.length;
+    if (grid.filter(values => values.filter(Boolean).length >= MIN_COLUMNS).length < MIN_ROWS
+        || meanLength > MAX_MEAN_CELL_LENGTH) {
+        return null;
+    }
+
+    const top = rows[0];
+    const bottom = rows[rows.length - 1];
+    return {
+        rows: grid,
+        // Position on the page in PDF user space: [x0, y0, x1, y1]
+        bbox: [
+            columns[0].x0,
+            bottom.y - bottom.height * 0.25,
+            columns[columns.length - 1].x1,
+            top.y + top.height
+        ]
+    };
+}
+
+// Find tables among the text items of one PDF page (pdf.js getTextContent).
+// Returns [{ rows: [[cell text]], bbox }] from top to bottom; rows all have
+// the same number of cells, with '' for empty ones.
+function detectTables(items) {
+    const tables = [];
+    let run = [];
+
+    const closeRun = () => {
+        if (run.length >= MIN_ROWS) {
+            const table = buildTable(run);
+            if (table) {
+                tables.push(table);
+            }
+        }
+        run = [];
+    };
+
+    textLines(items).forEach(line => {
+        const cells = lineCells(line);
+        const previous = run[run.length - 1];
+        if (previous && previous.y - line.y > Math.max(previous.height, line.height) * ROW_GAP) {
+            closeRun();
+        }
+        if (cells.length >= MIN_COLUMNS) {
+            run.push({ y: line.y, height: line.height, cells });
+        } else {
+            closeRun();
+        }
+    });
+    closeRun();
+
+    return tables;
+}
+
+// The value of a cell, addressed from 1 as on the page: table `number`,
+// row `row`, column `column`. Returns null when there is no such cell.
+function tableCell(tables, number, row, column) {
+    const table = (tables || [])[number - 1];
+    const values = table && table.rows[row - 1];
+    if (!values || column < 1 || column > values.length) {
+        return null;
+    }
+    return values[column - 1];
+}
+
+function csvField(value) {
+    return /[",\r\n]|^\s|\s$/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+function tableToCsv(rows) {
+    return rows.map(values => values.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// A table as it appears in the answer prompt: a grid with numbered rows
+// (R1, R2, ...) and columns (C1, C2, ...) so answers can cite single cells
+function formatTableForPrompt(table, number) {
+    const columns = table.rows[0].length;
+    const cell = value => sanitizeContextText(value).replace(/\|/g, '¦');
+    const header = `| | ${Array.from({ length: columns }, (_, i) => `C${i + 1}`).join(' | ')} |`;
+    const rows = table.rows.map((values, i) => `| R${i + 1} | ${values.map(cell).join(' | ')} |`);
+    return `<table number="${number}" rows="${table.rows.length}" columns="${columns}">\n`
+        + `${header}\n${rows.join('\n')}\n</table>`;
+}
+
+module.exports = {
+    detectTables,
+    formatTableForPrompt,
+    tableCell,
+    tableToCsv
+};
@@ -0,0 +1,131 @@
+// Chunking and prompts for translation. Long text is translated in pieces
+// that end on sentence boundaries so the model never sees half a sentence.
+
+const { languageName } = require('./languages');
+
+// A sentence ends at . ? ! or the Devanagari danda (।, ॥), optionally
+// followed by closing quotes/brackets, then whitespace; or at a line break
+const SENTENCE_BOUNDARY = /[.?!।॥]+["'”’)\]]*\s+|\n\s*/g;
+
+// Split text into chunks of at most `maxChars`, preferring sentence ends,
+// then whitespace. Concatenating the chunks gives back the original text.
+function chunkText(text, maxChars) {
+    const boundaries = Array.from(text.matchAll(SENTENCE_BOUNDARY), match => match.index + match[0].length);
+    const chunks = [];
+    let start = 0;
+
+    while (text.length - start > maxChars) {
+        const limit = start + maxChars;
+        let end = 0;
+
+        for (const boundary of boundaries) {
+            if (boundary > limit) {
+                break;
+            }
+            if (boundary > start) {
+                end = boundary;
+            }
+        }
+
+        // A single sentence longer than a chunk: cut at the last space
+        if (!end) {
+            const space = text.lastIndexOf(' ', limit);
+            end = space > start ? space + 1 : limit;
+        }
+
+        chunks.push(text.slice(start, end));
+        start = end;
+    }
+
+    if (start < text.length) {
+        chunks.push(text.slice(start));
+    }
+    return chunks;
+}
+
+function buildTranslationPrompt(text, sourceLanguage, targetLanguage) {
+    const source = sourceLanguage ? languageName(sourceLanguage) : 'its original language';
+    const target = languageName(targetLanguage);
+
+    return `Translate the following text from ${source} to ${target}.
+Keep the meaning and tone, and keep line breaks, numbers, names and dates exactly as they are.
+Reply with the translation only, without notes or explanations.
+If the text is already in ${target}, return it unchanged.
+
+Text: ${text}
+
+Translation:`;
+}
+
+// Translate text chunk by chunk with `generate(prompt)`, keeping the
+// whitespace between chunks (paragraph breaks) from the original
+async function translateText(text, { sourceLanguage, targetLanguage, chunkSize, generate }) {
+    const chunks = chunkText(text, chunkSize);
+    let translated = '';
+
+    for (const chunk of chunks) {
+        const body = chunk.trim();
+        if (!body) {
+            translated += chunk;
+            continue;
+        }
+        const leading = chunk.slice(0, chunk.indexOf(body));
+        const trailing = chunk.slice(chunk.indexOf(body) + body.length);
+        const output = await generate(buildTranslationPrompt(body, sourceLanguage, targetLanguage));
+        translated += leading + output.trim() + trailing;
+    }
+
+    return { translated, chunks: chunks.length };
+}
+
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+// Standalone HTML with each page's original text beside its translation.
+// `pages` is [{ page_number, language, original, translated }] in order.
+function buildBilingualHtml({ title, targetLanguage, pages }) {
+    const target = languageName(targetLanguage);
+    const rows = pages.map(page => `
+<section class="page">
+  <h2>Page ${page.page_number}</h2>
+  <table>
+    <tr>
+      <td lang="${escapeHtml(page.language || '')}" dir="auto">${escapeHtml(page.original)}</td>
+      <td lang="${escapeHtml(targetLanguage)}" dir="auto">${escapeHtml(page.translated)}</td>
+    </tr>
+  </table>
+</section>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)} (${target})</title>
+<style>
+  body { font-family: sans-serif; margin: 2rem; }
+  table { width: 100%; border-collapse: collapse; table-layout: fixed; }
+  th, td { width: 50%; padding: 0.75rem; border: 1px solid #ccc; vertical-align: top; white-space: pre-wrap; }
+  th { background: #f4f4f4; text-align: left; }
+  .page { page-break-inside: avoid; margin-bottom: 2rem; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<table>
+  <tr><th>Original</th><th>Translation (${target})</th></tr>
+</table>
+${rows}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    buildBilingualHtml,
+    buildTranslationPrompt,
+    chunkText,
+    translateText
+};
@@ -0,0 +1,156 @@
+// Accounting of model calls. Each call is recorded with the route and user
+// it was made for, the model, token counts and latency; answers served
+// from the cache are recorded too, without tokens, and failed calls with an
+// error flag. Per-user quotas cap the model calls (failed ones included) and
+// tokens of each UTC day.
+
+const { HttpError } = require('./errors');
+
+function utcDay(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+class UsageTracker {
+    // Quotas of 0 are unlimited
+    constructor({ storage, dailyCallQuota = 0, dailyTokenQuota = 0 }) {
+        this.storage = storage;
+        this.dailyCallQuota = dailyCallQuota;
+        this.dailyTokenQuota = dailyTokenQuota;
+        this.day = utcDay();
+        this.usedToday = new Map();
+    }
+
+    // Count today's stored calls so quotas hold across restarts
+    async init() {
+        this.day = utcDay();
+        this.usedToday = new Map();
+        (await this.storage.listUsage(this.day, this.day)).forEach(record => this.count(record));
+    }
+
+    // Model calls and tokens a user has used today
+    used(userId) {
+        const today = utcDay();
+        if (today !== this.day) {
+            this.day = today;
+            this.usedToday = new Map();
+        }
+        if (!this.usedToday.has(userId)) {
+            this.usedToday.set(userId, { calls: 0, tokens: 0 });
+        }
+        return this.usedToday.get(userId);
+    }
+
+    count(record) {
+        if (!record.cached) {
+            const used = this.used(record.user_id);
+            used.calls++;
+            used.tokens += record.total_tokens;
+        }
+    }
+
+    // Refuse a model call once the user has used up today's quota
+    checkQuota(userId) {
+        const used = this.used(userId);
+        if (this.dailyCallQuota > 0 && used.calls >= this.dailyCallQuota) {
+            throw new HttpError(429, `Daily quota exceeded: ${used.calls} of ${this.dailyCallQuota} `
+                + 'model calls used today. The quota resets at 00:00 UTC.');
+        }
+        if (this.dailyTokenQuota > 0 && used.tokens >= this.dailyTokenQuota) {
+            throw new HttpError(429, `Daily quota exceeded: ${used.tokens} of ${this.dailyTokenQuota} `
+                + 'tokens used today. The quota resets at 00:00 UTC.');
+        }
+    }
+
+    quotaStatus(userId) {
+        const used = this.used(userId);
+        return {
+            day: this.day,
+            calls_used: used.calls,
+            calls_limit: this.dailyCallQuota || null,
+            tokens_used: used.tokens,
+            tokens_limit: this.dailyTokenQuota || null
+        };
+    }
+
+    // Record one call: { route, model, user_id, input_tokens, output_tokens,
+    // latency_ms, estimated, cached, error }. A failed write is logged, not thrown,
+    // so accounting never fails the request it describes.
+    async record(call) {
+        const record = {
+            timestamp: new Date().toISOString(),
+            route: call.route,
+            model: call.model,
+            user_id: call.user_id,
+            input_tokens: call.input_tokens || 0,
+            output_tokens: call.output_tokens || 0,
+            total_tokens: (call.input_tokens || 0) + (call.output_tokens || 0),
+            latency_ms: call.latency_ms || 0,
+            estimated: Boolean(call.estimated),
+            cached: Boolean(call.cached),
+            error: Boolean(call.error)
+        };
+        this.count(record);
+        try {
+            await this.storage.recordUsage(record);
+        } catch (error) {
+            console.error('Error recording usage:', error);
+        }
+        return record;
+    }
+}
+
+function emptyTotals() {
+    return {
+        calls: 0,
+        errors: 0,
+        cache_hits: 0,
+        input_tokens: 0,
+        output_tokens: 0,
+        total_tokens: 0,
+        avg_latency_ms: 0
+    };
+}
+
+// Add up usage records, overall and by route, model and user. Latency is
+// averaged over model calls, failed ones included; cache hits are counted
+// separately.
+function summarizeUsage(records) {
+    const totals = emptyTotals();
+    const groups = { by_route: {}, by_model: {}, by_user: {} };
+    const latency = new Map();
+
+    const add = (entry, record) => {
+        if (record.cached) {
+            entry.cache_hits++;
+            return;
+        }
+        entry.calls++;
+        if (record.error) {
+            entry.errors++;
+        }
+        entry.input_tokens += record.input_tokens;
+        entry.output_tokens += record.output_tokens;
+        entry.total_tokens += record.total_tokens;
+        latency.set(entry, (latency.get(entry) || 0) + record.latency_ms);
+    };
+
+    records.forEach(record => {
+        add(totals, record);
+        [['by_route', record.route], ['by_model', record.model], ['by_user', record.user_id]].forEach(([group, name]) => {
+            groups[group][name] = groups[group][name] || emptyTotals();
+            add(groups[group][name], record);
+        });
+    });
+
+    latency.forEach((sum, entry) => {
+        entry.avg_latency_ms = Math.round(sum / entry.calls);
+    });
+
+    return { totals, ...groups };
+}
+
+module.exports = {
+    UsageTracker,
+    summarizeUsage,
+    utcDay
+};
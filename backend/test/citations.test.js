@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    assignDocumentTags,
+    extractCitations,
+    resolveCitationLabel,
+    stripCitations
+} = require('../lib/citations');
+
+const documents = new Map([
+    ['doc-a', { filename: 'notice, final.pdf' }],
+    ['doc-b', { filename: 'scheme.pdf' }],
+    ['doc-c', { filename: 'scheme.pdf' }]
+]);
+const tags = assignDocumentTags(Array.from(documents.keys()));
+
+test('tags documents D1, D2, ... in the order given', () => {
+    assert.deepEqual(Array.from(tags), [['D1', 'doc-a'], ['D2', 'doc-b'], ['D3', 'doc-c']]);
+});
+
+test('parses labels that contain commas up to ", Page:"', () => {
+    const [citation] = extractCitations('Yes [Document: notice, final.pdf, Page: 2, Quote: "a, b"].');
+
+    assert.equal(citation.label, 'notice, final.pdf');
+    assert.equal(citation.page_number, 2);
+    assert.equal(citation.quote, 'a, b');
+    assert.deepEqual(resolveCitationLabel(citation.label, tags, documents), { documentId: 'doc-a' });
+});
+
+test('resolves tags but not filenames shared by several documents', () => {
+    assert.deepEqual(resolveCitationLabel('D2', tags, documents), { documentId: 'doc-b' });
+    assert.deepEqual(resolveCitationLabel('[d3]', tags, documents), { documentId: 'doc-c' });
+    assert.deepEqual(resolveCitationLabel('scheme.pdf', tags, documents), { reason: 'ambiguous_document' });
+    assert.deepEqual(resolveCitationLabel('D9', tags, documents), { reason: 'unknown_document' });
+});
+
+test('splits several citations in one bracket', () => {
+    const citations = extractCitations(
+        'Both [Document: D1, Page: 2; Document: D2, Page: 3, Table: 1, Cell: R2C3, Quote: "x"].'
+    );
+
+    assert.deepEqual(citations.map(citation => [citation.label, citation.page_number]), [['D1', 2], ['D2', 3]]);
+    assert.deepEqual(citations[1].cell, { table: 1, row: 2, column: 3 });
+    assert.equal(citations[1].quote, 'x');
+});
+
+test('returns citations in order of first appearance', () => {
+    const text = 'A [Document: D3, Page: 1] b [Document: D1, Page: ५; Document: D2, Page: 4] c [Document: D3, Page: 1].';
+    const citations = extractCitations(text);
+
+    assert.deepEqual(citations.map(citation => `${citation.label}:${citation.page_number}`),
+        ['D3:1', 'D1:5', 'D2:4', 'D3:1']);
+    assert.deepEqual(citations.map(citation => citation.index), [
+        text.indexOf('Document: D3'),
+        text.indexOf('Document: D1'),
+        text.indexOf('Document: D2'),
+        text.lastIndexOf('Document: D3')
+    ]);
+});
+
+test('strips citations and the separators between them', () => {
+    const text = 'A [Document: D1, Page: 2; Document: D2, Page: 3] b [Document: D1, Page: 2], [Document: D2, Page: 1]. C';
+
+    assert.equal(stripCitations(text), 'A b. C');
+});
@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { extractPagesFromPDF } = require('../../lib/extractors/pdf');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, '..', 'fixtures', name));
+
+// multipage.pdf: text on pages 1 and 3, pages 2 and 4 empty
+test('keeps empty pages so page numbers match the PDF', async () => {
+    const { pages, totalPages } = await extractPagesFromPDF(fixture('multipage.pdf'));
+
+    assert.equal(totalPages, 4);
+    assert.deepEqual(Object.keys(pages), ['1', '2', '3', '4']);
+    assert.equal(pages[2], '');
+    assert.equal(pages[4], '');
+});
+
+test('puts each page text under its own page number', async () => {
+    const { pages } = await extractPagesFromPDF(fixture('multipage.pdf'));
+
+    assert.match(pages[1], /^First page: the farmer scheme pays 6000 rupees per year\.$/);
+    assert.match(pages[3], /^Third page: applications close on 31 March\.$/);
+});
+
+test('returns every page of a PDF without text, with nothing OCR\'d', async () => {
+    const { pages, totalPages, ocr } = await extractPagesFromPDF(fixture('blank.pdf'));
+
+    assert.equal(totalPages, 2);
+    assert.deepEqual(pages, { 1: '', 2: '' });
+    assert.deepEqual(ocr, {});
+});
+
+test('skips extraction of PDFs over maxPages but reports their size', async () => {
+    const { pages, totalPages } = await extractPagesFromPDF(fixture('multipage.pdf'), { maxPages: 2 });
+
+    assert.equal(totalPages, 4);
+    assert.deepEqual(pages, {});
+});
+
+test('reports progress for every page', async () => {
+    const seen = [];
+    await extractPagesFromPDF(fixture('multipage.pdf'), {
+        onProgress: ({ stage, page, totalPages }) => seen.push(`${stage}:${page}/${totalPages}`)
+    });
+
+    assert.deepEqual(seen, ['extracting:1/4', 'extracting:2/4', 'extracting:3/4', 'extracting:4/4']);
+});
@@ -1,8 +1,123 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import './App.css';
 
 const API_URL = 'http://localhost:8000';
 
+// The API key from /auth/login is kept across reloads
+const TOKEN_STORAGE_KEY = 'dqa_token';
+
+// File types the backend can extract text from
+const ACCEPTED_TYPES = [
+  'application/pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'text/plain',
+  'text/html',
+  'image/png',
+  'image/jpeg',
+  'image/webp',
+  'image/tiff',
+  'image/bmp'
+];
+const ACCEPTED_EXTENSIONS = ['.pdf', '.docx', '.txt', '.htm', '.html', '.png', '.jpg', '.jpeg', '.webp', '.tif', '.tiff', '.bmp'];
+
+// The backend accepts at most this many files per batch upload
+const MAX_BATCH_FILES = 20;
+const JOB_POLL_INTERVAL = 1000;
+const DOCUMENTS_PAGE_SIZE = 50;
+
+// Human-readable state of an upload in the sidebar list
+const describeUpload = ({ status, progress, result, error }) => {
+  if (status === 'uploading') return 'Uploading…';
+  if (status === 'queued') return 'Waiting in queue…';
+  if (status === 'failed') return `❌ ${error}`;
+  if (status === 'completed' && result.duplicate) return `♻️ Already uploaded as ${result.filename}`;
+  if (status === 'completed' && result.version > 1) return `✅ Version ${result.version}, ${result.pages} pages`;
+  if (status === 'completed') return `✅ ${result.pages} pages`;
+  if (progress.stage === 'indexing') return 'Indexing…';
+  if (!progress.pages_total) return 'Reading file…';
+  const page = Math.min(progress.pages_extracted + 1, progress.pages_total);
+  return progress.stage === 'ocr'
+    ? `OCR on page ${page} of ${progress.pages_total}…`
+    : `Extracting page ${page} of ${progress.pages_total}…`;
+};
+
+// Rough completion percentage for the progress bar
+const uploadPercent = ({ status, progress }) => {
+  if (status === 'completed' || status === 'failed') return 100;
+  if (progress.stage === 'indexing') return 95;
+  if (!progress.pages_total) return 5;
+  return 5 + Math.round(85 * progress.pages_extracted / progress.pages_total);
+};
+
+// How well each cited quote was found on the page
+const VERIFICATION_BADGES = {
+  verified: { icon: '✅', label: 'Quote found on page' },
+  partial: { icon: '⚠️', label: 'Quote partially matches page' },
+  unsupported: { icon: '❌', label: 'Quote not found on page' },
+  unquoted: { icon: '❔', label: 'No quote to verify' }
+};
+
+const isAcceptedFile = (file) => {
+  const name = file.name.toLowerCase();
+  return ACCEPTED_TYPES.includes(file.type) || ACCEPTED_EXTENSIONS.some(ext => name.endsWith(ext));
+};
+
+// Read a Server-Sent Events response body, calling onEvent(event, data)
+// for each complete event as it arrives
+const readEventStream = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+
+    events.forEach(raw => {
+      let event = 'message';
+      let data = '';
+      raw.split('\n').forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        if (line.startsWith('data:')) data += line.slice(5).trim();
+      });
+      if (data) onEvent(event, JSON.parse(data));
+    });
+  }
+};
+
+// Split a search snippet into plain text and <mark>ed matches
+const highlightSnippet = (snippet, highlights) => {
+  const parts = [];
+  let last = 0;
+  highlights.forEach(({ start, end }, i) => {
+    if (start > last) parts.push(snippet.slice(last, start));
+    parts.push(<mark key={i}>{snippet.slice(start, end)}</mark>);
+    last = end;
+  });
+  parts.push(snippet.slice(last));
+  return parts;
+};
+
+// Mark the cited passage (character offsets into the page text)
+const highlightPassage = (text, highlight) => {
+  if (!highlight) return text;
+  return [
+    text.slice(0, highlight.start),
+    <mark key="cited" className="cited-passage">{text.slice(highlight.start, highlight.end)}</mark>,
+    text.slice(highlight.end)
+  ];
+};
+
+// Rendered page image, with the cited passage highlighted on PDF pages
+const pageImageUrl = ({ docId, pageNum, highlight }) => {
+  const url = `${API_URL}/documents/${docId}/page/${pageNum}/image`;
+  return highlight ? `${url}?start=${highlight.start}&end=${highlight.end}` : url;
+};
+
 function App() {
   const [documents, setDocuments] = useState([]);
   const [chatHistory, setChatHistory] = useState([]);
@@ -10,69 +125,453 @@ function App() {
   const [loading, setLoading] = useState(false);
   const [selectedPage, setSelectedPage] = useState(null);
   const [pageText, setPageText] = useState(null);
-  const [translatedText, setTranslatedText] = useState(null);
+  const [translation, setTranslation] = useState(null);
+  const [translateLanguage, setTranslateLanguage] = useState('en');
+  const [documentTranslation, setDocumentTranslation] = useState(null);
+  const [summaryPanel, setSummaryPanel] = useState(null);
+  const [collections, setCollections] = useState([]);
+  const [docFilter, setDocFilter] = useState({ collection: '', tags: '', language: '' });
+  const [tagsInput, setTagsInput] = useState('');
+  const [documentsTotal, setDocumentsTotal] = useState(0);
+  const [editingDoc, setEditingDoc] = useState(null);
   const [selectedDocs, setSelectedDocs] = useState([]);
   const [activeTab, setActiveTab] = useState('chat');
+  const [conversationId, setConversationId] = useState(null);
+  const [languages, setLanguages] = useState([]);
+  const [responseLanguage, setResponseLanguage] = useState('auto');
+  const [compareMode, setCompareMode] = useState(false);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [uploads, setUploads] = useState([]);
+  const [authToken, setAuthToken] = useState(() => localStorage.getItem(TOKEN_STORAGE_KEY));
+  const [currentUser, setCurrentUser] = useState(null);
+  const [authChecked, setAuthChecked] = useState(false);
+  const [workspaces, setWorkspaces] = useState([]);
+  const [uploadWorkspace, setUploadWorkspace] = useState('');
+  const [loginForm, setLoginForm] = useState({ username: '', password: '' });
+  const [loginError, setLoginError] = useState(null);
+  const [pageImage, setPageImage] = useState(null);
   const fileInputRef = useRef(null);
+  const versionInputRef = useRef(null);
+  const [versionTarget, setVersionTarget] = useState(null);
   const chatEndRef = useRef(null);
 
-  // Fetch documents on mount
+  const logout = useCallback(async () => {
+    if (authToken) {
+      fetch(`${API_URL}/auth/logout`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${authToken}` }
+      }).catch(() => {});
+    }
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+    setAuthToken(null);
+    setCurrentUser(null);
+    setDocuments([]);
+    setChatHistory([]);
+    setConversationId(null);
+    setSelectedPage(null);
+    setSearchResults(null);
+    setUploads([]);
+  }, [authToken]);
+
+  // Every API call carries the session key; a 401 means it expired or was
+  // revoked, so drop back to the login screen
+  const apiFetch = useCallback(async (url, options = {}) => {
+    const headers = { ...(options.headers || {}) };
+    if (authToken) headers.Authorization = `Bearer ${authToken}`;
+
+    const response = await fetch(url, { ...options, headers });
+    if (response.status === 401 && authToken) {
+      logout();
+    }
+    return response;
+  }, [authToken, logout]);
+
+  const fetchCollections = useCallback(async () => {
+    try {
+      const response = await apiFetch(`${API_URL}/collections`);
+      const data = await response.json();
+      setCollections(data.collections || []);
+    } catch (error) {
+      console.error('Error fetching collections:', error);
+    }
+  }, [apiFetch]);
+
+  const fetchLanguages = useCallback(async () => {
+    try {
+      const response = await apiFetch(`${API_URL}/languages`);
+      const data = await response.json();
+      setLanguages(data.languages || []);
+    } catch (error) {
+      console.error('Error fetching languages:', error);
+    }
+  }, [apiFetch]);
+
+  // Documents matching the sidebar filter, a page at a time, starting at
+  // `offset`; a later page is added after the ones already shown
+  const fetchDocuments = useCallback(async (offset = 0) => {
+    try {
+      const params = new URLSearchParams({ limit: DOCUMENTS_PAGE_SIZE, offset });
+      Object.entries(docFilter).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+      });
+
+      const response = await apiFetch(`${API_URL}/documents?${params}`);
+      const data = await response.json();
+      if (!response.ok) {
+        alert(`Error: ${data.detail}`);
+        return;
+      }
+      setDocuments(list => (offset > 0 ? [...list, ...data.documents] : data.documents));
+      setDocumentsTotal(data.total);
+    } catch (error) {
+      console.error('Error fetching documents:', error);
+      alert('Failed to fetch documents. Make sure backend is running!');
+    }
+  }, [apiFetch, docFilter]);
+
+  // Check the stored session (or whether the server needs one at all)
+  useEffect(() => {
+    const checkSession = async () => {
+      try {
+        const response = await apiFetch(`${API_URL}/auth/me`);
+        if (response.ok) {
+          const data = await response.json();
+          setCurrentUser(data.user);
+          setWorkspaces(data.workspaces || []);
+        } else {
+          setCurrentUser(null);
+        }
+      } catch (error) {
+        console.error('Error checking session:', error);
+      } finally {
+        setAuthChecked(true);
+      }
+    };
+    checkSession();
+  }, [apiFetch]);
+
+  // Fetch collections and answer languages once logged in
+  useEffect(() => {
+    if (!currentUser) return;
+    fetchCollections();
+    fetchLanguages();
+  }, [currentUser, fetchCollections, fetchLanguages]);
+
+  // Fetch documents once logged in and whenever the sidebar filter changes
   useEffect(() => {
+    if (!currentUser) return;
     fetchDocuments();
-  }, []);
+  }, [currentUser, fetchDocuments]);
+
+  // Load the rendered page image (an authenticated request, so it can't be
+  // a plain <img src>)
+  useEffect(() => {
+    if (!selectedPage || !selectedPage.hasImage) {
+      setPageImage(null);
+      return undefined;
+    }
+
+    let objectUrl = null;
+    let cancelled = false;
+    const loadImage = async () => {
+      try {
+        const response = await apiFetch(pageImageUrl(selectedPage));
+        if (!response.ok || cancelled) return;
+        objectUrl = URL.createObjectURL(await response.blob());
+        setPageImage(objectUrl);
+      } catch (error) {
+        console.error('Error loading page image:', error);
+      }
+    };
+    loadImage();
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [selectedPage, apiFetch]);
 
   // Auto scroll chat to bottom
   useEffect(() => {
     chatEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [chatHistory]);
 
-  const fetchDocuments = async () => {
+  const login = async (e) => {
+    e.preventDefault();
+    setLoginError(null);
+
     try {
-      const response = await fetch(`${API_URL}/documents`);
+      const response = await fetch(`${API_URL}/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(loginForm)
+      });
       const data = await response.json();
-      setDocuments(data.documents || []);
+
+      if (response.ok) {
+        localStorage.setItem(TOKEN_STORAGE_KEY, data.token);
+        setLoginForm({ username: '', password: '' });
+        setAuthToken(data.token);
+      } else {
+        setLoginError(data.detail);
+      }
     } catch (error) {
-      console.error('Error fetching documents:', error);
-      alert('Failed to fetch documents. Make sure backend is running!');
+      console.error('Error logging in:', error);
+      setLoginError('Login failed. Check backend connection.');
+    }
+  };
+
+  // Download the original uploaded file. It is never opened in the app's
+  // own origin, where an uploaded HTML or SVG file could run scripts.
+  const downloadOriginal = async (docId, filename) => {
+    try {
+      const response = await apiFetch(`${API_URL}/documents/${docId}/file?download=true`);
+      if (!response.ok) {
+        alert('Failed to download original file');
+        return;
+      }
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(await response.blob());
+      link.download = filename;
+      link.click();
+    } catch (error) {
+      console.error('Error downloading file:', error);
+      alert('Failed to download original file');
     }
   };
 
-  const uploadDocument = async (file) => {
-    const formData = new FormData();
-    formData.append('file', file);
+  const createCollection = async () => {
+    const name = window.prompt('Name of the new collection');
+    if (!name) return;
 
     try {
-      setLoading(true);
-      const response = await fetch(`${API_URL}/upload`, {
+      const response = await apiFetch(`${API_URL}/collections`, {
         method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, workspace_id: uploadWorkspace || undefined })
+      });
+      if (!response.ok) {
+        const error = await response.json();
+        alert(`Error: ${error.detail}`);
+        return;
+      }
+      fetchCollections();
+    } catch (error) {
+      console.error('Error creating collection:', error);
+      alert('Failed to create collection');
+    }
+  };
+
+  const startEditing = (doc) => {
+    setEditingDoc({
+      id: doc.id,
+      title: doc.title || '',
+      department: doc.department || '',
+      date: doc.date || '',
+      language: doc.language || '',
+      tags: (doc.tags || []).join(', '),
+      collection_ids: doc.collection_ids || []
+    });
+  };
+
+  const saveMetadata = async (e) => {
+    e.preventDefault();
+    const { id, ...changes } = editingDoc;
+
+    try {
+      const response = await apiFetch(`${API_URL}/documents/${id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        alert(`Error: ${data.detail}`);
+        return;
+      }
+      setDocuments(list => list.map(doc => (doc.id === id ? data : doc)));
+      setEditingDoc(null);
+      fetchCollections();
+    } catch (error) {
+      console.error('Error saving metadata:', error);
+      alert('Failed to save document details');
+    }
+  };
+
+  const collectionName = (collectionId) => {
+    const collection = collections.find(c => c.id === collectionId);
+    return collection ? collection.name : null;
+  };
+
+  const filterActive = Object.values(docFilter).some(Boolean);
+
+  const workspaceName = (workspaceId) => {
+    const workspace = workspaces.find(w => w.id === workspaceId);
+    return workspace ? workspace.name : null;
+  };
+
+  // Track an upload in the sidebar progress list
+  const updateUpload = (key, changes) => {
+    setUploads(list => list.map(item => (item.key === key ? { ...item, ...changes } : item)));
+  };
+
+  // Send files to the batch endpoint; each file becomes an ingestion job
+  // whose progress is polled until it finishes
+  const uploadDocuments = async (files) => {
+    const entries = files.map((file, i) => ({
+      key: `${Date.now()}-${i}-${file.name}`,
+      filename: file.name,
+      status: 'uploading',
+      progress: {}
+    }));
+    setUploads(list => [...entries, ...list]);
+
+    for (let start = 0; start < files.length; start += MAX_BATCH_FILES) {
+      const batch = entries.slice(start, start + MAX_BATCH_FILES);
+      const formData = new FormData();
+      if (uploadWorkspace) formData.append('workspace_id', uploadWorkspace);
+      files.slice(start, start + MAX_BATCH_FILES).forEach(file => formData.append('files', file));
+
+      try {
+        const response = await apiFetch(`${API_URL}/upload/batch`, {
+          method: 'POST',
+          body: formData
+        });
+        const data = await response.json();
+
+        if (response.ok) {
+          data.jobs.forEach((job, i) => {
+            updateUpload(batch[i].key, { jobId: job.job_id, status: job.status });
+          });
+        } else {
+          batch.forEach(entry => updateUpload(entry.key, { status: 'failed', error: data.detail }));
+        }
+      } catch (error) {
+        console.error('Error uploading:', error);
+        batch.forEach(entry => updateUpload(entry.key, {
+          status: 'failed',
+          error: 'Upload failed. Check backend connection.'
+        }));
+      }
+    }
+  };
+
+  // Upload a file as the new version of `versionTarget`
+  const uploadNewVersion = async (file) => {
+    const doc = versionTarget;
+    const key = `${Date.now()}-version-${file.name}`;
+    setUploads(list => [{ key, filename: file.name, status: 'uploading', progress: {} }, ...list]);
+
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      const response = await apiFetch(`${API_URL}/documents/${doc.id}`, {
+        method: 'PUT',
         body: formData
       });
+      const data = await response.json();
 
       if (response.ok) {
-        const data = await response.json();
-        alert(`✅ Uploaded: ${data.filename} (${data.pages} pages)`);
-        fetchDocuments();
+        updateUpload(key, { jobId: data.job_id, status: data.status });
       } else {
-        const error = await response.json();
-        alert(`❌ Upload failed: ${error.detail}`);
+        updateUpload(key, { status: 'failed', error: data.detail });
       }
     } catch (error) {
-      console.error('Error uploading:', error);
-      alert('Upload failed. Check backend connection.');
-    } finally {
-      setLoading(false);
+      console.error('Error uploading version:', error);
+      updateUpload(key, { status: 'failed', error: 'Upload failed. Check backend connection.' });
     }
   };
 
+  const handleVersionSelect = (e) => {
+    const [file] = e.target.files;
+    if (file && versionTarget) {
+      uploadNewVersion(file);
+    }
+    e.target.value = '';
+  };
+
+  // Poll ingestion jobs that are still queued or running
+  const activeJobIds = uploads
+    .filter(item => item.jobId && (item.status === 'queued' || item.status === 'running'))
+    .map(item => item.jobId)
+    .join(',');
+
+  useEffect(() => {
+    if (!activeJobIds) return undefined;
+
+    const timer = setInterval(async () => {
+      let finished = false;
+      await Promise.all(activeJobIds.split(',').map(async (jobId) => {
+        try {
+          const response = await apiFetch(`${API_URL}/jobs/${jobId}`);
+          if (!response.ok) return;
+          const job = await response.json();
+          if (job.status === 'completed' || job.status === 'failed') finished = true;
+          setUploads(list => list.map(item => (item.jobId === jobId ? {
+            ...item,
+            status: job.status,
+            progress: job.progress,
+            result: job.result,
+            error: job.error
+          } : item)));
+        } catch (error) {
+          console.error('Error polling job:', error);
+        }
+      }));
+      if (finished) fetchDocuments();
+    }, JOB_POLL_INTERVAL);
+
+    return () => clearInterval(timer);
+  }, [activeJobIds, apiFetch, fetchDocuments]);
+
+  // Poll the whole-document translation job while it runs
+  const translationJobId = documentTranslation
+    && ['queued', 'running'].includes(documentTranslation.status)
+    ? documentTranslation.jobId : null;
+
+  useEffect(() => {
+    if (!translationJobId) return undefined;
+
+    const timer = setInterval(async () => {
+      try {
+        const response = await apiFetch(`${API_URL}/jobs/${translationJobId}`);
+        if (!response.ok) return;
+        const job = await response.json();
+        setDocumentTranslation(current => (current && current.jobId === translationJobId ? {
+          ...current,
+          status: job.status,
+          progress: job.progress,
+          error: job.error
+        } : current));
+      } catch (error) {
+        console.error('Error polling job:', error);
+      }
+    }, JOB_POLL_INTERVAL);
+
+    return () => clearInterval(timer);
+  }, [translationJobId, apiFetch]);
+
+  const clearFinishedUploads = () => {
+    setUploads(list => list.filter(item => !['completed', 'failed'].includes(item.status)));
+  };
+
   const handleFileSelect = (e) => {
     const files = Array.from(e.target.files);
-    files.forEach(file => {
-      if (file.type === 'application/pdf') {
-        uploadDocument(file);
-      } else {
-        alert('Only PDF files are allowed!');
-      }
-    });
+    const accepted = files.filter(isAcceptedFile);
+
+    // Unsupported files go straight into the list as failed
+    const rejected = files.filter(file => !isAcceptedFile(file)).map((file, i) => ({
+      key: `${Date.now()}-rejected-${i}-${file.name}`,
+      filename: file.name,
+      status: 'failed',
+      progress: {},
+      error: 'Only PDF, DOCX, TXT, HTML and image files are allowed'
+    }));
+    if (rejected.length > 0) setUploads(list => [...rejected, ...list]);
+
+    if (accepted.length > 0) uploadDocuments(accepted);
     e.target.value = '';
   };
 
@@ -80,12 +579,13 @@ function App() {
     if (!window.confirm('Delete this document?')) return;
 
     try {
-      const response = await fetch(`${API_URL}/documents/${docId}`, {
+      const response = await apiFetch(`${API_URL}/documents/${docId}`, {
         method: 'DELETE'
       });
 
       if (response.ok) {
         alert('Document deleted!');
+        setSummaryPanel(panel => (panel && panel.docId === docId ? null : panel));
         fetchDocuments();
       } else {
         alert('Failed to delete document');
@@ -107,26 +607,100 @@ function App() {
     setQuestion('');
     setLoading(true);
 
+    // Update the exchange being streamed (always the last one)
+    const updateLastChat = (changes) => {
+      setChatHistory(history => history.map((chat, idx) => (
+        idx === history.length - 1 ? { ...chat, ...changes } : chat
+      )));
+    };
+
     try {
+      // Checked documents take precedence over the sidebar filter
       const payload = {
         question: userQuestion,
-        document_ids: selectedDocs.length > 0 ? selectedDocs : undefined
+        document_ids: selectedDocs.length > 0 ? selectedDocs : undefined,
+        filter: selectedDocs.length === 0 && filterActive ? docFilter : undefined,
+        response_language: responseLanguage
       };
 
-      const response = await fetch(`${API_URL}/ask`, {
+      // Compare mode answers per document and returns a table in one response
+      if (compareMode) {
+        const response = await apiFetch(`${API_URL}/compare`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(payload)
+        });
+        if (!response.ok) {
+          const error = await response.json();
+          alert(`Error: ${error.detail}`);
+          return;
+        }
+        const data = await response.json();
+        setChatHistory(history => [...history, {
+          question: userQuestion,
+          compare: data,
+          warnings: data.warnings,
+          cached: data.cached,
+          timestamp: new Date().toISOString()
+        }]);
+        return;
+      }
+
+      // Keep follow-up questions in the same server-side conversation
+      let activeConversationId = conversationId;
+      if (!activeConversationId) {
+        const created = await apiFetch(`${API_URL}/conversations`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({})
+        });
+        if (!created.ok) {
+          const error = await created.json();
+          alert(`Error: ${error.detail}`);
+          return;
+        }
+        activeConversationId = (await created.json()).id;
+        setConversationId(activeConversationId);
+      }
+
+      const response = await apiFetch(`${API_URL}/conversations/${activeConversationId}/messages`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'text/event-stream'
+        },
         body: JSON.stringify(payload)
       });
 
       if (response.ok) {
-        const data = await response.json();
-        setChatHistory([...chatHistory, {
+        setChatHistory(history => [...history, {
           question: userQuestion,
-          answer: data.answer,
-          sources: data.sources,
+          answer: '',
+          sources: [],
+          streaming: true,
           timestamp: new Date().toISOString()
         }]);
+
+        let streamed = '';
+        await readEventStream(response, (event, data) => {
+          if (event === 'token') {
+            streamed += data.text;
+            updateLastChat({ answer: streamed });
+          } else if (event === 'done') {
+            updateLastChat({
+              answer: data.answer,
+              sources: data.sources,
+              confidence: data.confidence,
+              warnings: data.warnings,
+              standaloneQuestion: data.standalone_question,
+              cached: data.cached,
+              streaming: false
+            });
+          } else if (event === 'error') {
+            updateLastChat({ answer: `❌ ${data.detail}`, streaming: false });
+          }
+        });
+        updateLastChat({ streaming: false });
       } else {
         const error = await response.json();
         alert(`Error: ${error.detail}`);
@@ -139,18 +713,53 @@ function App() {
     }
   };
 
-  const viewPage = async (docId, pageNum, filename) => {
+  const languageLabel = (code) => {
+    const lang = languages.find(l => l.code === code);
+    return lang ? lang.name : code.toUpperCase();
+  };
+
+  const startNewChat = () => {
+    setConversationId(null);
+    setChatHistory([]);
+  };
+
+  const runSearch = async () => {
+    if (!searchQuery.trim()) return;
+
+    try {
+      setSearching(true);
+      const params = new URLSearchParams({ q: searchQuery });
+      const response = await apiFetch(`${API_URL}/search?${params}`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setSearchResults(data);
+      } else {
+        alert(`Search failed: ${data.detail}`);
+      }
+    } catch (error) {
+      console.error('Error searching:', error);
+      alert('Failed to search documents');
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  // Open a page in the viewer; `highlight` ({ start, end } offsets into the
+  // page text, as given on citation sources) marks the cited passage
+  const viewPage = async (docId, pageNum, filename, highlight = null) => {
     try {
       setLoading(true);
-      setSelectedPage({ docId, pageNum, filename });
+      setSelectedPage({ docId, pageNum, filename, highlight, hasImage: false });
       setPageText(null);
-      setTranslatedText(null);
+      setTranslation(null);
       setActiveTab('viewer');
 
-      const response = await fetch(`${API_URL}/documents/${docId}/page/${pageNum}`);
+      const response = await apiFetch(`${API_URL}/documents/${docId}/page/${pageNum}`);
       if (response.ok) {
         const data = await response.json();
         setPageText(data.text);
+        setSelectedPage(page => ({ ...page, hasImage: data.has_image }));
       } else {
         alert('Failed to fetch page');
       }
@@ -162,22 +771,33 @@ function App() {
     }
   };
 
+  // Translations are cached per page and language on the server, so
+  // reopening a translated page is instant
   const translatePage = async () => {
     if (!pageText) return;
 
     try {
       setLoading(true);
-      const response = await fetch(`${API_URL}/translate?target_language=en`, {
+      const response = await apiFetch(`${API_URL}/translate`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(pageText)
+        body: JSON.stringify({
+          document_id: selectedPage.docId,
+          page: selectedPage.pageNum,
+          target_language: translateLanguage
+        })
       });
 
       if (response.ok) {
         const data = await response.json();
-        setTranslatedText(data.translated);
+        setTranslation({
+          text: data.translated,
+          language: data.target_language,
+          cached: data.cached
+        });
       } else {
-        alert('Translation failed');
+        const error = await response.json();
+        alert(`Error: ${error.detail}`);
       }
     } catch (error) {
       console.error('Error translating:', error);
@@ -187,12 +807,187 @@ function App() {
     }
   };
 
+  // Summary panel: the document summary first, key facts on request.
+  // Both are cached on the server after the first request.
+  const openSummary = async (doc) => {
+    setSummaryPanel({ docId: doc.id, filename: doc.filename, summary: null, facts: null, tables: null, loading: 'summary' });
+    try {
+      const response = await apiFetch(`${API_URL}/documents/${doc.id}/summary`);
+      const data = await response.json();
+      setSummaryPanel(panel => (panel && panel.docId === doc.id ? {
+        ...panel,
+        loading: null,
+        summary: response.ok ? data : null,
+        error: response.ok ? null : data.detail
+      } : panel));
+    } catch (error) {
+      console.error('Error loading summary:', error);
+      setSummaryPanel(panel => (panel && panel.docId === doc.id
+        ? { ...panel, loading: null, error: 'Failed to load summary' } : panel));
+    }
+  };
+
+  const extractFacts = async () => {
+    const { docId } = summaryPanel;
+    setSummaryPanel(panel => ({ ...panel, loading: 'facts' }));
+    try {
+      const response = await apiFetch(`${API_URL}/documents/${docId}/extract`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({})
+      });
+      const data = await response.json();
+      setSummaryPanel(panel => (panel && panel.docId === docId ? {
+        ...panel,
+        loading: null,
+        facts: response.ok ? data.results : null,
+        error: response.ok ? null : data.detail
+      } : panel));
+    } catch (error) {
+      console.error('Error extracting facts:', error);
+      setSummaryPanel(panel => (panel && panel.docId === docId
+        ? { ...panel, loading: null, error: 'Failed to extract key facts' } : panel));
+    }
+  };
+
+  const loadTables = async () => {
+    const { docId } = summaryPanel;
+    setSummaryPanel(panel => ({ ...panel, loading: 'tables' }));
+    try {
+      const response = await apiFetch(`${API_URL}/documents/${docId}/tables`);
+      const data = await response.json();
+      setSummaryPanel(panel => (panel && panel.docId === docId ? {
+        ...panel,
+        loading: null,
+        tables: response.ok ? data.tables : null,
+        error: response.ok ? null : data.detail
+      } : panel));
+    } catch (error) {
+      console.error('Error loading tables:', error);
+      setSummaryPanel(panel => (panel && panel.docId === docId
+        ? { ...panel, loading: null, error: 'Failed to load tables' } : panel));
+    }
+  };
+
+  const downloadTableCsv = async (table) => {
+    const { docId, filename } = summaryPanel;
+    try {
+      const response = await apiFetch(
+        `${API_URL}/documents/${docId}/tables?format=csv&page=${table.page_number}&table=${table.table_number}&download=true`
+      );
+      if (!response.ok) {
+        alert('Failed to download table');
+        return;
+      }
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(await response.blob());
+      link.download = `${filename.replace(/\.[^.]+$/, '')}-page-${table.page_number}-table-${table.table_number}.csv`;
+      link.click();
+    } catch (error) {
+      console.error('Error downloading table:', error);
+      alert('Failed to download table');
+    }
+  };
+
+  const translateDocument = async () => {
+    const { docId } = selectedPage;
+    try {
+      const response = await apiFetch(
+        `${API_URL}/documents/${docId}/translate?target_language=${translateLanguage}`,
+        { method: 'POST' }
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        alert(`Error: ${data.detail}`);
+        return;
+      }
+      setDocumentTranslation({
+        jobId: data.job_id,
+        docId,
+        language: data.target_language,
+        status: data.status,
+        progress: null,
+        error: null
+      });
+    } catch (error) {
+      console.error('Error translating document:', error);
+      alert('Failed to start document translation');
+    }
+  };
+
+  const downloadTranslation = async () => {
+    const { docId, language } = documentTranslation;
+    try {
+      const response = await apiFetch(
+        `${API_URL}/documents/${docId}/translation?target_language=${language}&download=true`
+      );
+      if (!response.ok) {
+        alert('Failed to download translation');
+        return;
+      }
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(await response.blob());
+      link.download = `${selectedPage.filename.replace(/\.[^.]+$/, '')}.${language}.html`;
+      link.click();
+    } catch (error) {
+      console.error('Error downloading translation:', error);
+      alert('Failed to download translation');
+    }
+  };
+
+  if (!authChecked) {
+    return <div className="loader">Connecting...</div>;
+  }
+
+  if (!currentUser) {
+    return (
+      <div className="login-screen">
+        <form className="login-card" onSubmit={login}>
+          <h1>📚 Multilingual Document QA</h1>
+          <p>Sign in to see your team's documents</p>
+          <input
+            type="text"
+            className="chat-input"
+            placeholder="Username"
+            autoComplete="username"
+            value={loginForm.username}
+            onChange={(e) => setLoginForm({ ...loginForm, username: e.target.value })}
+          />
+          <input
+            type="password"
+            className="chat-input"
+            placeholder="Password"
+            autoComplete="current-password"
+            value={loginForm.password}
+            onChange={(e) => setLoginForm({ ...loginForm, password: e.target.value })}
+          />
+          {loginError && <p className="login-error">❌ {loginError}</p>}
+          <button
+            type="submit"
+            className="send-btn"
+            disabled={!loginForm.username || !loginForm.password}
+          >
+            🔑 Sign in
+          </button>
+        </form>
+      </div>
+    );
+  }
+
+  const ownedWorkspaces = workspaces.filter(w => w.role === 'owner');
+
   return (
     <div className="app">
       {/* Sidebar */}
       <div className="sidebar">
         <div className="sidebar-header">
           <h2>📁 Documents</h2>
+          <div className="user-bar">
+            <small>👤 {currentUser.username}</small>
+            {currentUser.id !== 'local' && (
+              <button className="logout-btn" onClick={logout}>Log out</button>
+            )}
+          </div>
         </div>
 
         <div className="upload-section">
@@ -200,42 +995,344 @@ function App() {
             type="file"
             ref={fileInputRef}
             onChange={handleFileSelect}
-            accept="application/pdf"
+            accept={[...ACCEPTED_TYPES, ...ACCEPTED_EXTENSIONS].join(',')}
             multiple
             style={{ display: 'none' }}
           />
+          <input
+            type="file"
+            ref={versionInputRef}
+            onChange={handleVersionSelect}
+            accept={[...ACCEPTED_TYPES, ...ACCEPTED_EXTENSIONS].join(',')}
+            style={{ display: 'none' }}
+          />
+          {ownedWorkspaces.length > 1 && (
+            <select
+              className="workspace-select"
+              value={uploadWorkspace}
+              onChange={(e) => setUploadWorkspace(e.target.value)}
+              title="Workspace for new uploads"
+            >
+              <option value="">My workspace</option>
+              {ownedWorkspaces.filter(w => !w.personal).map(w => (
+                <option key={w.id} value={w.id}>{w.name}</option>
+              ))}
+            </select>
+          )}
           <button
             className="upload-btn"
             onClick={() => fileInputRef.current?.click()}
-            disabled={loading}
+            disabled={ownedWorkspaces.length === 0}
           >
-            📤 Upload PDFs
+            📤 Upload Documents
           </button>
+
+          {uploads.length > 0 && (
+            <div className="upload-list">
+              {uploads.map(item => (
+                <div key={item.key} className={`upload-item ${item.status}`}>
+                  <div className="upload-name">{item.filename}</div>
+                  <div className="upload-progress">
+                    <div className="upload-progress-bar" style={{ width: `${uploadPercent(item)}%` }} />
+                  </div>
+                  <small>{describeUpload(item)}</small>
+                </div>
+              ))}
+              {uploads.some(item => ['completed', 'failed'].includes(item.status)) && (
+                <button className="clear-uploads-btn" onClick={clearFinishedUploads}>
+                  Clear finished
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="document-filters">
+          <div className="filter-row">
+            <select
+              value={docFilter.collection}
+              onChange={(e) => setDocFilter(filter => ({ ...filter, collection: e.target.value }))}
+              title="Collection"
+            >
+              <option value="">All collections</option>
+              {collections.map(c => (
+                <option key={c.id} value={c.id}>{c.name} ({c.document_count})</option>
+              ))}
+            </select>
+            <button className="new-collection-btn" onClick={createCollection} title="New collection">＋</button>
+          </div>
+          <div className="filter-row">
+            <input
+              type="text"
+              placeholder="Tags (comma-separated)"
+              value={tagsInput}
+              onChange={(e) => setTagsInput(e.target.value)}
+              onBlur={() => setDocFilter(filter => ({ ...filter, tags: tagsInput.trim() }))}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') setDocFilter(filter => ({ ...filter, tags: tagsInput.trim() }));
+              }}
+            />
+            <select
+              value={docFilter.language}
+              onChange={(e) => setDocFilter(filter => ({ ...filter, language: e.target.value }))}
+              title="Language"
+            >
+              <option value="">Any language</option>
+              {languages.map(lang => (
+                <option key={lang.code} value={lang.code}>{lang.name}</option>
+              ))}
+            </select>
+          </div>
         </div>
 
         <div className="documents-list">
           {documents.length === 0 ? (
-            <p className="no-docs">No documents uploaded yet</p>
+            <p className="no-docs">{filterActive ? 'No documents match the filter' : 'No documents uploaded yet'}</p>
           ) : (
             documents.map(doc => (
               <div key={doc.id} className="doc-card">
                 <div className="doc-info">
-                  <strong>📄 {doc.filename}</strong>
+                  <strong>
+                    📄 {doc.title || doc.filename}
+                    {doc.version > 1 && <span className="version-badge">v{doc.version}</span>}
+                  </strong>
+                  {doc.title && <small>{doc.filename}</small>}
                   <small>Pages: {doc.pages} | {doc.size_mb} MB</small>
+                  {(doc.department || doc.date) && (
+                    <small>🏛️ {[doc.department, doc.date].filter(Boolean).join(' · ')}</small>
+                  )}
+                  {((doc.tags || []).length > 0 || (doc.collection_ids || []).length > 0) && (
+                    <div className="doc-tags">
+                      {(doc.collection_ids || []).map(id => collectionName(id) && (
+                        <span key={id} className="collection-chip">📚 {collectionName(id)}</span>
+                      ))}
+                      {(doc.tags || []).map(tag => (
+                        <span key={tag} className="tag-chip">#{tag}</span>
+                      ))}
+                    </div>
+                  )}
+                  {doc.languages && doc.languages.length > 0 && (
+                    <small className="doc-languages">
+                      🌐 {doc.languages.map(code => languageLabel(code)).join(', ')}
+                      {doc.scripts && doc.scripts.length > 0 && ` · ${doc.scripts.join(', ')}`}
+                    </small>
+                  )}
+                  {workspaceName(doc.workspace_id) && (
+                    <small>🗂️ {workspaceName(doc.workspace_id)}</small>
+                  )}
                   <small className="doc-id">ID: {doc.id.substring(0, 12)}...</small>
+
+                  {editingDoc && editingDoc.id === doc.id && (
+                    <form className="metadata-form" onSubmit={saveMetadata}>
+                      {['title', 'department'].map(field => (
+                        <input
+                          key={field}
+                          type="text"
+                          placeholder={field[0].toUpperCase() + field.slice(1)}
+                          value={editingDoc[field]}
+                          onChange={(e) => setEditingDoc(form => ({ ...form, [field]: e.target.value }))}
+                        />
+                      ))}
+                      <input
+                        type="date"
+                        value={editingDoc.date}
+                        onChange={(e) => setEditingDoc(form => ({ ...form, date: e.target.value }))}
+                      />
+                      <select
+                        value={editingDoc.language}
+                        onChange={(e) => setEditingDoc(form => ({ ...form, language: e.target.value }))}
+                      >
+                        <option value="">Language: detected</option>
+                        {languages.map(lang => (
+                          <option key={lang.code} value={lang.code}>{lang.name}</option>
+                        ))}
+                      </select>
+                      <input
+                        type="text"
+                        placeholder="Tags (comma-separated)"
+                        value={editingDoc.tags}
+                        onChange={(e) => setEditingDoc(form => ({ ...form, tags: e.target.value }))}
+                      />
+                      {collections.filter(c => c.workspace_id === doc.workspace_id).map(c => (
+                        <label key={c.id} className="checkbox-label">
+                          <input
+                            type="checkbox"
+                            checked={editingDoc.collection_ids.includes(c.id)}
+                            onChange={(e) => setEditingDoc(form => ({
+                              ...form,
+                              collection_ids: e.target.checked
+                                ? [...form.collection_ids, c.id]
+                                : form.collection_ids.filter(id => id !== c.id)
+                            }))}
+                          />
+                          {c.name}
+                        </label>
+                      ))}
+                      <div className="metadata-actions">
+                        <button type="submit">Save</button>
+                        <button type="button" onClick={() => setEditingDoc(null)}>Cancel</button>
+                      </div>
+                    </form>
+                  )}
+                </div>
+                <div className="doc-actions">
+                  <button
+                    className="summary-btn"
+                    onClick={() => openSummary(doc)}
+                    title="Summary"
+                  >
+                    📝
+                  </button>
+                  <button
+                    className="edit-btn"
+                    onClick={() => (editingDoc && editingDoc.id === doc.id ? setEditingDoc(null) : startEditing(doc))}
+                    title="Edit details"
+                  >
+                    ✏️
+                  </button>
+                  <button
+                    className="version-btn"
+                    onClick={() => {
+                      setVersionTarget(doc);
+                      versionInputRef.current?.click();
+                    }}
+                    title="Upload new version"
+                  >
+                    ⬆️
+                  </button>
+                  <button
+                    className="delete-btn"
+                    onClick={() => deleteDocument(doc.id)}
+                  >
+                    🗑️
+                  </button>
                 </div>
-                <button
-                  className="delete-btn"
-                  onClick={() => deleteDocument(doc.id)}
-                >
-                  🗑️
-                </button>
               </div>
             ))
           )}
+          {documents.length < documentsTotal && (
+            <button className="load-more-btn" onClick={() => fetchDocuments(documents.length)}>
+              Load more ({documentsTotal - documents.length} more)
+            </button>
+          )}
         </div>
 
-        <button className="refresh-btn" onClick={fetchDocuments}>
+        {summaryPanel && (
+          <div className="summary-panel">
+            <div className="summary-header">
+              <strong>📝 {summaryPanel.filename}</strong>
+              <button className="summary-close" onClick={() => setSummaryPanel(null)}>✕</button>
+            </div>
+
+            {summaryPanel.loading === 'summary' && <p className="summary-loading">Summarizing...</p>}
+            {summaryPanel.error && <p className="summary-error">❌ {summaryPanel.error}</p>}
+
+            {summaryPanel.summary && (
+              <>
+                <p className="summary-text">{summaryPanel.summary.summary || 'No text to summarize.'}</p>
+                {summaryPanel.summary.sections.length > 1 && (
+                  <details>
+                    <summary>Sections</summary>
+                    {summaryPanel.summary.sections.map(section => (
+                      <p key={section.start_page} className="summary-section">
+                        <button
+                          className="page-chip"
+                          onClick={() => viewPage(summaryPanel.docId, section.start_page, summaryPanel.filename)}
+                        >
+                          p. {section.start_page}{section.end_page !== section.start_page && `-${section.end_page}`}
+                        </button>
+                        {section.summary}
+                      </p>
+                    ))}
+                  </details>
+                )}
+
+                {!summaryPanel.facts && (
+                  <button
+                    className="facts-btn"
+                    onClick={extractFacts}
+                    disabled={summaryPanel.loading === 'facts'}
+                  >
+                    {summaryPanel.loading === 'facts' ? 'Extracting...' : '🔎 Key facts'}
+                  </button>
+                )}
+                {!summaryPanel.tables && (
+                  <button
+                    className="facts-btn"
+                    onClick={loadTables}
+                    disabled={summaryPanel.loading === 'tables'}
+                  >
+                    {summaryPanel.loading === 'tables' ? 'Loading...' : '📊 Tables'}
+                  </button>
+                )}
+              </>
+            )}
+
+            {summaryPanel.facts && Object.entries(summaryPanel.facts).map(([field, items]) => (
+              items.length > 0 && (
+                <div key={field} className="facts-group">
+                  <h4>{field}</h4>
+                  <ul>
+                    {items.map((item, i) => (
+                      <li key={i}>
+                        {field === 'deadlines' ? `${item.description}: ${item.date || '?'}` : item.value}
+                        {item.description && field !== 'deadlines' && <small> — {item.description}</small>}
+                        {item.citations.map(citation => (
+                          <button
+                            key={citation.page_number}
+                            className="page-chip"
+                            title={citation.quote || ''}
+                            onClick={() => viewPage(summaryPanel.docId, citation.page_number, summaryPanel.filename)}
+                          >
+                            p. {citation.page_number}
+                          </button>
+                        ))}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )
+            ))}
+
+            {summaryPanel.tables && (
+              <div className="facts-group">
+                <h4>tables</h4>
+                {summaryPanel.tables.length === 0 && <p className="summary-text">No tables found.</p>}
+                {summaryPanel.tables.map(table => (
+                  <div key={`${table.page_number}-${table.table_number}`} className="table-preview">
+                    <div className="table-preview-header">
+                      <button
+                        className="page-chip"
+                        onClick={() => viewPage(summaryPanel.docId, table.page_number, summaryPanel.filename)}
+                      >
+                        p. {table.page_number}
+                      </button>
+                      Table {table.table_number}
+                      <button className="table-csv-btn" onClick={() => downloadTableCsv(table)}>
+                        CSV ⬇
+                      </button>
+                    </div>
+                    <div className="table-preview-grid">
+                      <table>
+                        <tbody>
+                          {table.rows.map((row, rIdx) => (
+                            <tr key={rIdx}>
+                              {row.map((value, cIdx) => (rIdx === 0
+                                ? <th key={cIdx}>{value}</th>
+                                : <td key={cIdx}>{value}</td>))}
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        <button className="refresh-btn" onClick={() => fetchDocuments()}>
           🔄 Refresh
         </button>
       </div>
@@ -244,7 +1341,7 @@ function App() {
       <div className="main-content">
         <div className="header">
           <h1>📚 Multilingual Document QA</h1>
-          <p>Upload PDFs in any Indian language and ask questions in English!</p>
+          <p>Upload PDFs, Word files, web pages or photos in any Indian language and get answers in yours!</p>
         </div>
 
         {/* Tabs */}
@@ -255,6 +1352,12 @@ function App() {
           >
             💬 Chat
           </button>
+          <button
+            className={`tab ${activeTab === 'search' ? 'active' : ''}`}
+            onClick={() => setActiveTab('search')}
+          >
+            🔍 Search
+          </button>
           <button
             className={`tab ${activeTab === 'viewer' ? 'active' : ''}`}
             onClick={() => setActiveTab('viewer')}
@@ -268,7 +1371,11 @@ function App() {
           <div className="chat-container">
             {documents.length > 0 && (
               <div className="doc-selector">
-                <label>Search in documents (leave empty for all):</label>
+                <label>
+                  {filterActive
+                    ? 'Search in documents (leave empty for all documents matching the sidebar filter):'
+                    : 'Search in documents (leave empty for all):'}
+                </label>
                 <div className="doc-checkboxes">
                   {documents.map(doc => (
                     <label key={doc.id} className="checkbox-label">
@@ -303,21 +1410,128 @@ function App() {
                   <div className="message user-message">
                     <strong>You:</strong>
                     <p>{chat.question}</p>
+                    {chat.standaloneQuestion && chat.standaloneQuestion !== chat.question && (
+                      <small className="standalone-question">🔎 Searched for: {chat.standaloneQuestion}</small>
+                    )}
                   </div>
 
                   <div className="message assistant-message">
                     <strong>Assistant:</strong>
-                    <p>{chat.answer}</p>
+                    {chat.cached && <span className="cached-badge" title="Answered from the cache">cached</span>}
+                    {chat.compare ? (
+                      <div className="compare-result">
+                        {chat.compare.summary && <p>{chat.compare.summary}</p>}
+                        <div className="compare-table-wrapper">
+                          <table className="compare-table">
+                            <thead>
+                              <tr>
+                                <th></th>
+                                {chat.compare.columns.map(column => (
+                                  <th key={column.document_id}>📄 {column.filename}</th>
+                                ))}
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {chat.compare.rows.map((row, rIdx) => (
+                                <tr key={rIdx}>
+                                  <th>{row.aspect}</th>
+                                  {row.cells.map(cell => (
+                                    <td key={cell.document_id}>
+                                      {cell.text}
+                                      {cell.sources.length > 0 && (
+                                        <div className="compare-cell-sources">
+                                          {cell.sources.map((source, sIdx) => (
+                                            <button
+                                              key={sIdx}
+                                              className="page-chip"
+                                              title={source.excerpt}
+                                              onClick={() => viewPage(
+                                                source.document_id,
+                                                source.page_number,
+                                                source.filename,
+                                                source.start !== null && source.start !== undefined
+                                                  ? { start: source.start, end: source.end }
+                                                  : null
+                                              )}
+                                            >
+                                              p. {source.page_number}
+                                            </button>
+                                          ))}
+                                        </div>
+                                      )}
+                                    </td>
+                                  ))}
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                      </div>
+                    ) : (
+                      <p>{chat.answer}{chat.streaming && <span className="typing-cursor">▍</span>}</p>
+                    )}
+
+                    {chat.warnings && chat.warnings.length > 0 && (
+                      <div className="answer-warnings">
+                        {chat.warnings.map((warning, wIdx) => (
+                          <div key={wIdx} className="answer-warning">
+                            {warning.type === 'suspicious_instructions' ? (
+                              <>
+                                ⚠️ {warning.filename} page {warning.page_number} contains text that looks like
+                                instructions to the assistant; it was treated as document content only.
+                                <small>“{warning.excerpts[0]}”</small>
+                              </>
+                            ) : (
+                              <>
+                                ✂️ The documents were too long to send in full: {warning.passages_dropped} less
+                                relevant passage(s) and {warning.history_messages_dropped} earlier message(s) were left out.
+                              </>
+                            )}
+                          </div>
+                        ))}
+                      </div>
+                    )}
 
                     {chat.sources && chat.sources.length > 0 && (
                       <div className="sources">
-                        <strong>📌 Sources:</strong>
+                        <strong>
+                          📌 Sources:
+                          {chat.confidence !== undefined && (
+                            <span className="confidence"> (confidence {Math.round(chat.confidence * 100)}%)</span>
+                          )}
+                        </strong>
                         {chat.sources.map((source, sIdx) => (
                           <div key={sIdx} className="source-card">
-                            <span>📄 {source.filename} - Page {source.page_number}</span>
+                            <div className="source-info">
+                              <span>
+                                {source.verification && (
+                                  <span title={VERIFICATION_BADGES[source.verification]?.label}>
+                                    {VERIFICATION_BADGES[source.verification]?.icon}{' '}
+                                  </span>
+                                )}
+                                📄 {source.filename} - Page {source.page_number}
+                              </span>
+                              {source.excerpt && (
+                                <small className="source-excerpt">“{source.excerpt}”</small>
+                              )}
+                              {source.spans.filter(span => span.cell).map((span, cIdx) => (
+                                <small key={cIdx} className="source-cell">
+                                  📊 Table {span.cell.table}, {span.cell.row_header || `row ${span.cell.row}`}
+                                  {' / '}{span.cell.column_header || `column ${span.cell.column}`}:
+                                  {' '}<strong>{span.cell.value}</strong>
+                                </small>
+                              ))}
+                            </div>
                             <button
                               className="view-btn"
-                              onClick={() => viewPage(source.document_id, source.page_number, source.filename)}
+                              onClick={() => viewPage(
+                                source.document_id,
+                                source.page_number,
+                                source.filename,
+                                source.start !== null && source.start !== undefined
+                                  ? { start: source.start, end: source.end }
+                                  : null
+                              )}
                             >
                               View
                             </button>
@@ -332,15 +1546,44 @@ function App() {
             </div>
 
             <div className="chat-input-container">
+              <select
+                className="language-select"
+                value={responseLanguage}
+                onChange={(e) => setResponseLanguage(e.target.value)}
+                title="Answer language"
+              >
+                <option value="auto">🌐 Auto</option>
+                {languages.map(lang => (
+                  <option key={lang.code} value={lang.code}>
+                    {lang.native_name}
+                  </option>
+                ))}
+              </select>
               <input
                 type="text"
                 className="chat-input"
-                placeholder="Ask a question about your documents..."
+                placeholder={compareMode ? 'Ask a question to compare the documents...' : 'Ask a question about your documents...'}
                 value={question}
                 onChange={(e) => setQuestion(e.target.value)}
                 onKeyPress={(e) => e.key === 'Enter' && askQuestion()}
                 disabled={loading || documents.length === 0}
               />
+              <button
+                className={`compare-toggle ${compareMode ? 'active' : ''}`}
+                onClick={() => setCompareMode(!compareMode)}
+                disabled={loading}
+                title="Compare mode: answer for each document and combine into a table"
+              >
+                ⚖️
+              </button>
+              <button
+                className="new-chat-btn"
+                onClick={startNewChat}
+                disabled={loading || chatHistory.length === 0}
+                title="Start a new conversation"
+              >
+                🆕
+              </button>
               <button
                 className="send-btn"
                 onClick={askQuestion}
@@ -352,6 +1595,63 @@ function App() {
           </div>
         )}
 
+        {/* Search Tab */}
+        {activeTab === 'search' && (
+          <div className="search-container">
+            <div className="chat-input-container">
+              <input
+                type="text"
+                className="chat-input"
+                placeholder="Search all documents..."
+                value={searchQuery}
+                onChange={(e) => setSearchQuery(e.target.value)}
+                onKeyPress={(e) => e.key === 'Enter' && runSearch()}
+                disabled={searching}
+              />
+              <button
+                className="send-btn"
+                onClick={runSearch}
+                disabled={searching || !searchQuery.trim()}
+              >
+                {searching ? '⏳' : '🔍'} Search
+              </button>
+            </div>
+
+            <div className="search-results">
+              {searchResults && searchResults.results.length === 0 && (
+                <div className="empty-chat">
+                  <h3>🤷 No matches</h3>
+                  <p>No pages contain "{searchResults.query}"</p>
+                </div>
+              )}
+              {searchResults && searchResults.results.length > 0 && (
+                <p className="search-summary">
+                  {searchResults.total} matching page(s) for "{searchResults.query}"
+                </p>
+              )}
+              {searchResults && searchResults.results.map((result) => (
+                <div key={`${result.document_id}-${result.page_number}`} className="source-card">
+                  <div className="source-info">
+                    <span>
+                      📄 {result.filename} - Page {result.page_number}
+                      <span className="confidence"> · score {result.score}</span>
+                    </span>
+                    <span className="search-snippet">
+                      {highlightSnippet(result.snippet, result.highlights)}
+                    </span>
+                  </div>
+                  <button
+                    className="view-btn"
+                    onClick={() => viewPage(result.document_id, result.page_number, result.filename)}
+                  >
+                    View
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Page Viewer Tab */}
         {activeTab === 'viewer' && (
           <div className="viewer-container">
@@ -363,7 +1663,7 @@ function App() {
                     onClick={() => {
                       setSelectedPage(null);
                       setPageText(null);
-                      setTranslatedText(null);
+                      setTranslation(null);
                     }}
                   >
                     🔙 Back
@@ -373,26 +1673,98 @@ function App() {
 
                 {pageText && (
                   <>
-                    <div className="page-content">
-                      <h4>Original Text</h4>
-                      <div className="text-viewer">
-                        {pageText}
+                    <div className="page-panels">
+                      {selectedPage.hasImage && (
+                        <div className="page-content page-image-panel">
+                          <h4>
+                            Page Image
+                            <button
+                              className="original-link"
+                              onClick={() => downloadOriginal(selectedPage.docId, selectedPage.filename)}
+                            >
+                              Download original ↓
+                            </button>
+                          </h4>
+                          {pageImage ? (
+                            <img
+                              className="page-image"
+                              src={pageImage}
+                              alt={`${selectedPage.filename} page ${selectedPage.pageNum}`}
+                            />
+                          ) : (
+                            <div className="loader">Rendering page...</div>
+                          )}
+                        </div>
+                      )}
+                      <div className="page-content page-text-panel">
+                        <h4>Original Text</h4>
+                        <div className="text-viewer">
+                          {highlightPassage(pageText, selectedPage.highlight)}
+                        </div>
                       </div>
                     </div>
 
-                    <button
-                      className="translate-btn"
-                      onClick={translatePage}
-                      disabled={loading}
-                    >
-                      🌐 Translate to English
-                    </button>
+                    <div className="translate-bar">
+                      <select
+                        className="language-select"
+                        value={translateLanguage}
+                        onChange={(e) => setTranslateLanguage(e.target.value)}
+                        title="Translate to"
+                      >
+                        {languages.map(lang => (
+                          <option key={lang.code} value={lang.code}>
+                            {lang.native_name}
+                          </option>
+                        ))}
+                      </select>
+                      <button
+                        className="translate-btn"
+                        onClick={translatePage}
+                        disabled={loading}
+                      >
+                        🌐 Translate to {languageLabel(translateLanguage)}
+                      </button>
+                      <button
+                        className="translate-btn translate-doc-btn"
+                        onClick={translateDocument}
+                        disabled={Boolean(translationJobId)}
+                      >
+                        📑 Translate whole document
+                      </button>
+                    </div>
+
+                    {documentTranslation && documentTranslation.docId === selectedPage.docId && (
+                      <div className="document-translation">
+                        {translationJobId && (
+                          <span>
+                            Translating to {languageLabel(documentTranslation.language)}
+                            {documentTranslation.progress && documentTranslation.progress.pages_total
+                              ? `: ${documentTranslation.progress.pages_translated || 0} of ${documentTranslation.progress.pages_total} pages`
+                              : '...'}
+                          </span>
+                        )}
+                        {documentTranslation.status === 'completed' && (
+                          <>
+                            <span>✅ Translated to {languageLabel(documentTranslation.language)}</span>
+                            <button className="download-link" onClick={downloadTranslation}>
+                              Download bilingual HTML ⬇
+                            </button>
+                          </>
+                        )}
+                        {documentTranslation.status === 'failed' && (
+                          <span className="translation-error">❌ {documentTranslation.error}</span>
+                        )}
+                      </div>
+                    )}
 
-                    {translatedText && (
+                    {translation && (
                       <div className="page-content">
-                        <h4>Translated Text (English)</h4>
+                        <h4>
+                          Translated Text ({languageLabel(translation.language)})
+                          {translation.cached && <span className="cached-badge">cached</span>}
+                        </h4>
                         <div className="text-viewer">
-                          {translatedText}
+                          {translation.text}
                         </div>
                       </div>
                     )}
@@ -404,7 +1776,7 @@ function App() {
             ) : (
               <div className="empty-viewer">
                 <h3>👆 No page selected</h3>
-                <p>Click "View" on any source in the chat to see page content here</p>
+                <p>Click "View" on any source in the chat or search results to see page content here</p>
               </div>
             )}
           </div>